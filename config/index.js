@@ -1,18 +1,48 @@
 require('dotenv').config();
 
+/**
+ * Parse TRUST_PROXY into an Express 'trust proxy' value
+ * @param {string} value - Hop count, true/false, or comma-separated addresses/subnets
+ * @returns {boolean|number|string} - false when unset
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+
+/**
+ * Parse PRODUCT_PRICE_FACET_BOUNDARIES: $bucket fails unless the boundaries are
+ * distinct numbers in ascending order, so invalid entries are dropped and the rest sorted
+ * @param {string} value - Comma-separated prices
+ * @returns {Array<number>} - Boundaries, or the defaults when none are valid
+ */
+const parsePriceBoundaries = (value) => {
+  const boundaries = (value || '').split(',')
+    .filter(entry => entry.trim() !== '')
+    .map(Number)
+    .filter(Number.isFinite);
+  const unique = [...new Set(boundaries)].sort((a, b) => a - b);
+  return unique.length > 0 ? unique : [0, 50, 100, 200, 500, 1000];
+};
+
 module.exports = {
   // Database Configuration
   MONGO_URI: process.env.MONGO_URI || 'mongodb://localhost:27017/grocery-app',
   
   // JWT Configuration
   JWT_SECRET: process.env.JWT_SECRET || 'fallback-secret-key',
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '30d',
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
+  JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET || 'fallback-refresh-secret-key',
+  JWT_REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
   
   // Server Configuration
   PORT: process.env.PORT || 5000,
   NODE_ENV: process.env.NODE_ENV || 'development',
+  // Proxies whose X-Forwarded-For is used for the client IP, e.g. 1 or loopback,10.0.0.0/8
+  TRUST_PROXY: parseTrustProxy(process.env.TRUST_PROXY),
   
-  // Rate Limiting Configuration
+  // Rate Limiting Configuration (login, signup, OTP and reset routes, per IP)
   MAX_REQUESTS_PER_WINDOW: parseInt(process.env.MAX_REQUESTS_PER_WINDOW) || 100,
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   
@@ -25,10 +55,100 @@ module.exports = {
     'image/gif',
     'image/webp'
   ],
+  PRIVATE_UPLOADS_DIR: process.env.PRIVATE_UPLOADS_DIR || 'private_uploads',
+  MAX_IMPORT_FILE_SIZE: parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+  PRODUCT_IMPORT_MAX_ROWS: parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 5000,
+  // Unreferenced product/category images are purged once older than this
+  UPLOAD_ORPHAN_MIN_AGE_MS: parseInt(process.env.UPLOAD_ORPHAN_MIN_AGE_MS) || 24 * 60 * 60 * 1000, // 24 hours
+  UPLOAD_PURGE_INTERVAL_MS: parseInt(process.env.UPLOAD_PURGE_INTERVAL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+  // Renditions generated for product, category and avatar uploads (max width and height in px)
+  IMAGE_RENDITION_SIZES: {
+    thumbnail: parseInt(process.env.IMAGE_THUMBNAIL_SIZE) || 150,
+    medium: parseInt(process.env.IMAGE_MEDIUM_SIZE) || 600,
+    large: parseInt(process.env.IMAGE_LARGE_SIZE) || 1200
+  },
+  IMAGE_WEBP_QUALITY: parseInt(process.env.IMAGE_WEBP_QUALITY) || 80,
+  ALLOWED_KYC_DOCUMENT_TYPES: process.env.ALLOWED_KYC_DOCUMENT_TYPES?.split(',') || [
+    'image/jpeg',
+    'image/jpg',
+    'image/png',
+    'application/pdf'
+  ],
   
   // Security Configuration
-  BCRYPT_ROUNDS: 12,
+  BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+  ENCRYPTION_KEY: process.env.ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback-encryption-key',
+
+  // Password Policy Configuration
+  PASSWORD_MIN_LENGTH: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  PASSWORD_MAX_LENGTH: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+  // Character classes every password must contain: lowercase, uppercase, letter, digit, symbol
+  PASSWORD_REQUIRED_CHARACTER_CLASSES: process.env.PASSWORD_REQUIRED_CHARACTER_CLASSES?.split(',').filter(Boolean) || ['letter', 'digit'],
+  PASSWORD_HISTORY_SIZE: parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5, // previous passwords that cannot be reused
+  PASSWORD_BLOCKLIST_FILE: process.env.PASSWORD_BLOCKLIST_FILE || 'data/common-passwords.txt',
+
+  // Two-Factor Authentication Configuration
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'Fresh Grocery Store',
+  TWO_FACTOR_TOKEN_EXPIRES_IN: process.env.TWO_FACTOR_TOKEN_EXPIRES_IN || '5m',
+  TWO_FACTOR_RECOVERY_CODES: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10,
+  // Roles that must enable 2FA before using role-restricted routes, e.g. admin,staff
+  TWO_FACTOR_REQUIRED_ROLES: process.env.TWO_FACTOR_REQUIRED_ROLES?.split(',').filter(Boolean) || [],
+
+  // Session Configuration
+  SESSION_TOUCH_INTERVAL_MS: parseInt(process.env.SESSION_TOUCH_INTERVAL_MS) || 60 * 1000, // 1 minute
+
+  // Login Protection Configuration
+  LOGIN_MAX_FAILURES: parseInt(process.env.LOGIN_MAX_FAILURES) || 5, // per phone number
+  LOGIN_MAX_FAILURES_PER_IP: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 50,
+  LOGIN_FAILURE_WINDOW_MS: parseInt(process.env.LOGIN_FAILURE_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  LOGIN_LOCKOUT_MS: parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000, // 15 minutes
+  LOGIN_DELAY_BASE_MS: parseInt(process.env.LOGIN_DELAY_BASE_MS) || 1000,
+  LOGIN_DELAY_MAX_MS: parseInt(process.env.LOGIN_DELAY_MAX_MS) || 30 * 1000,
+
+  // OTP Configuration
+  OTP_LENGTH: parseInt(process.env.OTP_LENGTH) || 6,
+  OTP_EXPIRES_IN_MS: parseInt(process.env.OTP_EXPIRES_IN_MS) || 5 * 60 * 1000, // 5 minutes
+  OTP_MAX_ATTEMPTS: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+  OTP_RESEND_COOLDOWN_MS: parseInt(process.env.OTP_RESEND_COOLDOWN_MS) || 60 * 1000, // 1 minute
+
+  // Password Reset Configuration
+  PASSWORD_RESET_URL: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password',
+  PASSWORD_RESET_EXPIRES_IN_MS: parseInt(process.env.PASSWORD_RESET_EXPIRES_IN_MS) || 30 * 60 * 1000, // 30 minutes
+
+  // Email Verification Configuration
+  EMAIL_VERIFICATION_URL: process.env.EMAIL_VERIFICATION_URL || 'http://localhost:3000/verify-email',
+  EMAIL_VERIFICATION_EXPIRES_IN_MS: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN_MS) || 24 * 60 * 60 * 1000, // 24 hours
+  EMAIL_VERIFICATION_RESEND_COOLDOWN_MS: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_MS) || 60 * 1000, // 1 minute
+  // Actions blocked until the email is verified, e.g. online_payment
+  EMAIL_VERIFICATION_REQUIRED_FOR: process.env.EMAIL_VERIFICATION_REQUIRED_FOR?.split(',').filter(Boolean) || [],
+
+  // SMS Configuration
+  SMS_PROVIDER: process.env.SMS_PROVIDER || 'console',
+  SMS_LOG_FILE: process.env.SMS_LOG_FILE || 'logs/sms.log',
+
+  // Mail Configuration
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+  MAIL_FROM: process.env.MAIL_FROM || 'Fresh Grocery Store <no-reply@freshgrocery.local>',
+  MAIL_LOG_FILE: process.env.MAIL_LOG_FILE || 'logs/mail.log',
   
+  // Account Deletion Configuration
+  ACCOUNT_DELETION_GRACE_PERIOD_MS: parseInt(process.env.ACCOUNT_DELETION_GRACE_PERIOD_MS) || 30 * 24 * 60 * 60 * 1000, // 30 days
+  ACCOUNT_DELETION_SWEEP_INTERVAL_MS: parseInt(process.env.ACCOUNT_DELETION_SWEEP_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+
+  // Audit Log Configuration
+  AUDIT_LOG_RETENTION_DAYS: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 365,
+
+  // Search Configuration
+  // Approved past queries are suggested only after this many different searchers (IP addresses) got results
+  SEARCH_SUGGESTION_MIN_QUERY_COUNT: parseInt(process.env.SEARCH_SUGGESTION_MIN_QUERY_COUNT) || 3,
+  // Lower bounds of the price ranges counted in product facets
+  PRODUCT_PRICE_FACET_BOUNDARIES: parsePriceBoundaries(process.env.PRODUCT_PRICE_FACET_BOUNDARIES),
+
+  // Inventory Configuration
+  LOW_STOCK_DEFAULT_THRESHOLD: parseInt(process.env.LOW_STOCK_DEFAULT_THRESHOLD) || 10, // for products without their own threshold
+  LOW_STOCK_NEAR_RATIO: parseFloat(process.env.LOW_STOCK_NEAR_RATIO) || 1.5, // listed as near threshold up to threshold x ratio
+  LOW_STOCK_VELOCITY_DAYS: parseInt(process.env.LOW_STOCK_VELOCITY_DAYS) || 30, // window for recent sales velocity
+
   // Pagination Configuration
   DEFAULT_PAGE_SIZE: 10,
   MAX_PAGE_SIZE: 100
@@ -0,0 +1,51 @@
+const { validationResult } = require('express-validator');
+const { queryAuditLogs } = require('../services/auditService');
+
+/**
+ * Search the audit log (Admin)
+ * GET /api/audit-logs
+ */
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { actor, action, targetType, targetId, from, to, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), 100);
+
+    const { logs, total } = await queryAuditLogs({
+      actor,
+      action,
+      targetType,
+      targetId,
+      from,
+      to,
+      page: pageNum,
+      limit: limitNum
+    });
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      logs
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
@@ -1,9 +1,106 @@
 const User = require('../models/User');
 const Address = require('../models/Address');
-const { generateToken } = require('../utils/jwtUtils');
-const { validatePassword } = require('../utils/passwordUtils');
+const {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  revokeTokenFamily
+} = require('../services/tokenService');
+const { listUserSessions, getUserSession } = require('../services/sessionService');
+const {
+  sendVerificationEmail,
+  sendVerificationEmailSafely,
+  confirmEmail
+} = require('../services/emailVerificationService');
+const { requestOtp, verifyOtp } = require('../services/otpService');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../services/loginProtectionService');
+const { requestPasswordReset, resetPassword: resetUserPassword } = require('../services/passwordResetService');
+const { recordAudit, hashIdentifier } = require('../services/auditService');
+const {
+  isTwoFactorRequired,
+  beginTwoFactorSetup,
+  enableTwoFactor: enableUserTwoFactor,
+  verifyTwoFactor,
+  regenerateRecoveryCodes: regenerateUserRecoveryCodes,
+  disableTwoFactor: disableUserTwoFactor
+} = require('../services/twoFactorService');
+const { validatePassword, validatePasswordPolicy, generatePassword } = require('../utils/passwordUtils');
+const { generateTwoFactorToken, verifyTwoFactorToken } = require('../utils/jwtUtils');
 const { validationResult } = require('express-validator');
 
+/**
+ * Record the login and send the token response shared by every login method
+ * @param {Object} user - Authenticated user document
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Response message
+ */
+const sendLoginResponse = async (user, req, res, statusCode = 200, message = 'Login successful') => {
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  // Generate tokens
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+
+  // Remove password from response
+  const userResponse = user.getPublicProfile();
+
+  res.status(statusCode).json({
+    success: true,
+    message,
+    token,
+    refreshToken,
+    user: userResponse,
+    twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactor?.enabled
+  });
+};
+
+/**
+ * Finish a first-factor login: ask for the second factor when 2FA is enabled,
+ * otherwise issue tokens straight away
+ * @param {Object} user - Authenticated user document
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} method - First factor used ('password' or 'otp')
+ */
+const completeLogin = async (user, req, res, method) => {
+  if (!user.twoFactor?.enabled) {
+    await recordAudit(req, { actor: user, action: 'auth.login', targetType: 'User', targetId: user._id, metadata: { method } });
+    return sendLoginResponse(user, req, res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication required',
+    twoFactorRequired: true,
+    twoFactorToken: generateTwoFactorToken({ id: user._id })
+  });
+};
+
+/**
+ * Send the 429 response for a throttled login attempt
+ * @param {Object} res - Express response
+ * @param {Object} status - Result of checkLoginAllowed
+ */
+const sendLoginThrottled = (res, { locked, retryAfterMs }) => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: locked
+      ? `Too many failed login attempts. Please try again in ${Math.ceil(retryAfter / 60)} minutes or reset your password.`
+      : `Please wait ${retryAfter} seconds before trying again.`,
+    retryAfter
+  });
+};
+
 /**
  * Register a new user
  * POST /api/auth/signup
@@ -34,8 +131,8 @@ const signup = async (req, res, next) => {
       addressType = 'home'
     } = req.body;
 
-    // Validate password strength
-    const passwordValidation = validatePassword(password);
+    // Validate password against the password policy
+    const passwordValidation = validatePassword(password, { email, phone });
     if (!passwordValidation.isValid) {
       return res.status(400).json({
         success: false,
@@ -80,8 +177,10 @@ const signup = async (req, res, next) => {
       isDefault: true
     });
 
-    // Generate token
-    const token = generateToken({ id: user._id });
+    await sendVerificationEmailSafely(user);
+
+    // Generate tokens
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     // Remove password from response
     const userResponse = user.getPublicProfile();
@@ -96,6 +195,7 @@ const signup = async (req, res, next) => {
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: userWithAddress
     });
 
@@ -122,10 +222,25 @@ const login = async (req, res, next) => {
 
     const { phone, password } = req.body;
 
+    // Reject attempts while the phone number or IP is locked out or cooling down
+    const loginStatus = await checkLoginAllowed(phone, req.ip);
+    if (!loginStatus.allowed) {
+      return sendLoginThrottled(res, loginStatus);
+    }
+
     // Find user with password field included
     const user = await User.findOne({ phone }).select('+password');
 
     if (!user || !(await user.comparePassword(password))) {
+      await recordLoginFailure(phone, req, user);
+      // Known accounts are identified by targetId; unknown numbers only by a hash
+      await recordAudit(req, {
+        actor: user,
+        action: 'auth.login_failed',
+        targetType: 'User',
+        targetId: user?._id,
+        metadata: user ? { method: 'password' } : { method: 'password', phoneHash: hashIdentifier(phone) }
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid phone number or password'
@@ -139,21 +254,203 @@ const login = async (req, res, next) => {
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
+    await clearLoginFailures(phone);
+    await completeLogin(user, req, res, 'password');
 
-    // Generate token
-    const token = generateToken({ id: user._id });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Remove password from response
-    const userResponse = user.getPublicProfile();
+/**
+ * Send a login OTP to a phone number
+ * POST /api/auth/otp/request
+ */
+const requestLoginOtp = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { expiresAt, resendAfter } = await requestOtp(req.body.phone, 'login');
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
+      message: 'OTP sent successfully',
+      expiresAt,
+      resendAfter
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify a login OTP, creating the account on first use
+ * POST /api/auth/otp/verify
+ */
+const verifyLoginOtp = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { phone, otp, name, email } = req.body;
+
+    let user = await User.findOne({ phone });
+    const detailsMissing = !user && (!name || !email);
+
+    // Only someone holding a valid code learns whether the account exists or is
+    // deactivated. New users without details keep their code to retry with them.
+    await verifyOtp(phone, otp, 'login', { consume: !detailsMissing });
+
+    if (detailsMissing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and email are required to create an account'
+      });
+    }
+
+    if (user && !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    if (user) {
+      return await completeLogin(user, req, res, 'otp');
+    }
+
+    const existingEmail = await User.findOne({ email });
+    if (existingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already registered'
+      });
+    }
+
+    // OTP accounts get a random password; it can be set later through a password reset
+    user = await User.create({
+      name,
+      email,
+      phone,
+      password: generatePassword(16)
+    });
+
+    await sendVerificationEmailSafely(user);
+
+    await sendLoginResponse(user, req, res, 201, 'User registered successfully');
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete a login with a TOTP code or a recovery code
+ * POST /api/auth/2fa/verify
+ */
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorToken(twoFactorToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor session has expired. Please login again.'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    // Second-factor guesses count towards the same lockout as passwords
+    const loginStatus = await checkLoginAllowed(user.phone, req.ip);
+    if (!loginStatus.allowed) {
+      return sendLoginThrottled(res, loginStatus);
+    }
+
+    if (!(await verifyTwoFactor(user._id, { code, recoveryCode }))) {
+      await recordLoginFailure(user.phone, req, user);
+      await recordAudit(req, {
+        actor: user,
+        action: 'auth.login_failed',
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { method: recoveryCode ? 'recovery_code' : 'two_factor' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await clearLoginFailures(user.phone);
+    await recordAudit(req, {
+      actor: user,
+      action: 'auth.login',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { method: recoveryCode ? 'recovery_code' : 'two_factor' }
+    });
+    await sendLoginResponse(user, req, res);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/auth/refresh
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
       token,
-      user: userResponse
+      refreshToken
     });
 
   } catch (error) {
@@ -189,11 +486,14 @@ const getMe = async (req, res, next) => {
 };
 
 /**
- * Logout user (client-side token removal)
+ * Logout user from the current device
  * POST /api/auth/logout
  */
 const logout = async (req, res, next) => {
   try {
+    await revokeAccessToken(req.tokenPayload, 'logout');
+    await recordAudit(req, { action: 'auth.logout', targetType: 'Session', targetId: req.sessionId });
+
     res.status(200).json({
       success: true,
       message: 'Logged out successfully'
@@ -203,6 +503,76 @@ const logout = async (req, res, next) => {
   }
 };
 
+/**
+ * Logout user from all devices
+ * POST /api/auth/logout-all
+ */
+const logoutAll = async (req, res, next) => {
+  try {
+    await revokeAllUserTokens(req.user.id, 'logout_all');
+    await recordAudit(req, { action: 'auth.logout_all', targetType: 'User', targetId: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get active sessions (devices) for the current user
+ * GET /api/auth/sessions
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: String(session._id) === req.sessionId
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out a single session (device)
+ * DELETE /api/auth/sessions/:id
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const session = await getUserSession(req.user.id, id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeTokenFamily(id, 'session_revoked');
+    await recordAudit(req, { action: 'auth.session_revoked', targetType: 'Session', targetId: session._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Change password
  * PUT /api/auth/change-password
@@ -220,8 +590,8 @@ const changePassword = async (req, res, next) => {
 
     const { currentPassword, newPassword } = req.body;
 
-    // Get user with password
-    const user = await User.findById(req.user.id).select('+password');
+    // Get user with password and previous password hashes
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
 
     if (!user) {
       return res.status(404).json({
@@ -238,8 +608,8 @@ const changePassword = async (req, res, next) => {
       });
     }
 
-    // Validate new password
-    const passwordValidation = validatePassword(newPassword);
+    // Validate new password, including reuse of recent passwords
+    const passwordValidation = await validatePasswordPolicy(newPassword, user);
     if (!passwordValidation.isValid) {
       return res.status(400).json({
         success: false,
@@ -252,9 +622,281 @@ const changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every existing session and keep the current device logged in
+    await revokeAllUserTokens(user._id, 'password_change');
+    await recordAudit(req, { action: 'auth.password_changed', targetType: 'User', targetId: user._id });
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      token,
+      refreshToken
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send password reset instructions
+ * POST /api/auth/forgot-password
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, phone, channel } = req.body;
+
+    if (!email && !phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or phone number is required'
+      });
+    }
+
+    await requestPasswordReset({ email, phone }, channel, req);
+
+    // Same response whether or not the account exists
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for these details, password reset instructions have been sent'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reset password with a reset token
+ * POST /api/auth/reset-password
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    // The password policy is checked by the service before the token is consumed
+    const user = await resetUserPassword(token, newPassword, req);
+    await recordAudit(req, { actor: user, action: 'auth.password_reset', targetType: 'User', targetId: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please login with your new password.'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm an email address with a verification token
+ * POST /api/auth/verify-email
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await confirmEmail(req.body.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      user
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resend the email verification link
+ * POST /api/auth/verify-email/resend
+ */
+const resendVerificationEmail = async (req, res, next) => {
+  try {
+    await sendVerificationEmail(req.user, { enforceCooldown: true });
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ * POST /api/auth/2fa/setup
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const { secret, otpauthUri } = await beginTwoFactorSetup(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the code with your authenticator app and confirm with a code to enable two-factor authentication',
+      secret,
+      otpauthUri
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm two-factor enrollment
+ * POST /api/auth/2fa/enable
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await enableUserTwoFactor(req.user.id, req.body.code);
+    await recordAudit(req, { action: 'auth.2fa_enabled', targetType: 'User', targetId: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate a new set of recovery codes
+ * POST /api/auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifyTwoFactor(req.user.id, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = await regenerateUserRecoveryCodes(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn off two-factor authentication
+ * POST /api/auth/2fa/disable
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account and cannot be disabled'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await verifyTwoFactor(user._id, { code, recoveryCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await disableUserTwoFactor(user._id);
+    await recordAudit(req, { action: 'auth.2fa_disabled', targetType: 'User', targetId: user._id });
+
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Two-factor authentication disabled'
     });
 
   } catch (error) {
@@ -265,7 +907,22 @@ const changePassword = async (req, res, next) => {
 module.exports = {
   signup,
   login,
+  requestLoginOtp,
+  verifyLoginOtp,
+  verifyTwoFactorLogin,
+  refresh,
   getMe,
   logout,
-  changePassword
+  logoutAll,
+  getSessions,
+  revokeSession,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
 };
\ No newline at end of file
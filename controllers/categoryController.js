@@ -1,6 +1,9 @@
 const Category = require('../models/Category');
 const Product = require('../models/Product');
 const { validationResult } = require('express-validator');
+const { recordAudit } = require('../services/auditService');
+const { getImageRenditions } = require('../utils/imageUtils');
+const { softDeleteCategory, restoreCategory: restoreDeletedCategory } = require('../services/catalogDeletionService');
 
 /**
  * Get all categories
@@ -22,7 +25,7 @@ const getCategories = async (req, res, next) => {
         });
 
         return {
-          ...category.toObject(),
+          ...category.toObject({ virtuals: true }),
           productCount
         };
       })
@@ -71,7 +74,7 @@ const getCategory = async (req, res, next) => {
     });
 
     const categoryWithCount = {
-      ...category.toObject(),
+      ...category.toObject({ virtuals: true }),
       productCount
     };
 
@@ -131,6 +134,10 @@ const getPopularCategories = async (req, res, next) => {
       }
     ]);
 
+    popularCategories.forEach(category => {
+      category.renditions = getImageRenditions(category.icon);
+    });
+
     res.status(200).json({
       success: true,
       count: popularCategories.length,
@@ -203,11 +210,19 @@ const updateCategory = async (req, res, next) => {
       });
     }
 
+    if (category.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restore the category before updating it'
+      });
+    }
+
     let icon = category.icon; // Default to existing icon
     if (req.file) {
       icon = `${req.protocol}://${req.get('host')}/uploads/categories/${req.file.filename}`;
     }
 
+    const nameChanged = name && name !== category.name;
     category.name = name || category.name;
     category.icon = icon;
     category.color = color || category.color;
@@ -217,6 +232,11 @@ const updateCategory = async (req, res, next) => {
 
     await category.save();
 
+    // Products carry the category name for full-text search
+    if (nameChanged) {
+      await Product.refreshSearchFields({ category: category._id });
+    }
+
     res.status(200).json({
       success: true,
       category
@@ -235,21 +255,21 @@ const updateCategory = async (req, res, next) => {
 };
 
 /**
- * Delete a category
+ * Delete a category (soft delete, restorable)
  * DELETE /api/categories/:id
  */
 const deleteCategory = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const category = await Category.findByIdAndDelete(id);
+    const category = await softDeleteCategory(id, req.user.id);
 
-    if (!category) {
-      return res.status(404).json({
-        success: false,
-        message: 'Category not found'
-      });
-    }
+    await recordAudit(req, {
+      action: 'category.deleted',
+      targetType: 'Category',
+      targetId: category._id,
+      metadata: { name: category.name }
+    });
 
     res.status(200).json({
       success: true,
@@ -261,11 +281,63 @@ const deleteCategory = async (req, res, next) => {
   }
 };
 
+/**
+ * Restore a deleted category
+ * PUT /api/categories/:id/restore
+ */
+const restoreCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const category = await restoreDeletedCategory(id);
+
+    await recordAudit(req, {
+      action: 'category.restored',
+      targetType: 'Category',
+      targetId: category._id,
+      metadata: { name: category.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Category restored successfully',
+      category
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get deleted categories
+ * GET /api/categories/admin/deleted
+ */
+const getDeletedCategories = async (req, res, next) => {
+  try {
+    const categories = await Category.find({ deletedAt: { $ne: null } })
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 })
+      .select('-__v');
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      categories
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getCategories,
   getCategory,
   getPopularCategories,
   createCategory,
   updateCategory,
-  deleteCategory // Added deleteCategory
+  deleteCategory, // Added deleteCategory
+  restoreCategory,
+  getDeletedCategories
 };
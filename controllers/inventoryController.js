@@ -0,0 +1,198 @@
+const Product = require('../models/Product');
+const { validationResult } = require('express-validator');
+const {
+  adjustStock,
+  getStockMovements: listStockMovements,
+  getStockReconciliation: buildStockReconciliation
+} = require('../services/inventoryService');
+const { getLowStockProducts: listLowStockProducts } = require('../services/lowStockService');
+
+// Sellers can only manage the stock of their own store's products
+const canManageStock = (user, product) => {
+  return user.role !== 'seller' || (user.store && String(product.store) === String(user.store));
+};
+
+/**
+ * Get the stock history of a product
+ * GET /api/products/:id/stock-movements
+ */
+const getStockMovements = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { type, variantId, page = 1, limit = 20 } = req.query;
+
+    const product = await Product.findById(id).select('name store stockCount');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (!canManageStock(req.user, product)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view the stock of your own store'
+      });
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const { movements, total } = await listStockMovements(product._id, {
+      type,
+      variantId,
+      skip: (pageNum - 1) * limitNum,
+      limit: limitNum
+    });
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      product: { id: product._id, name: product.name, stockCount: product.stockCount },
+      count: movements.length,
+      total,
+      totalPages,
+      currentPage: pageNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+      movements
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a restock, manual adjustment or write-off
+ * POST /api/products/:id/stock-movements
+ */
+const createStockMovement = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { type, quantity, reason, variantId } = req.body;
+
+    const product = await Product.findById(id).select('name store stockCount variants');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (!canManageStock(req.user, product)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage the stock of your own store'
+      });
+    }
+
+    const movement = await adjustStock(product, {
+      variantId,
+      type,
+      quantity,
+      reason,
+      actor: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock updated successfully',
+      movement
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Compare ledger totals with product stock counts
+ * GET /api/products/admin/inventory/reconciliation
+ */
+const getStockReconciliation = async (req, res, next) => {
+  try {
+    const report = await buildStockReconciliation({ mismatchedOnly: req.query.all !== 'true' });
+
+    res.status(200).json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List products near or below their reorder threshold
+ * GET /api/products/admin/low-stock
+ */
+const getLowStockProducts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const { products, total } = await listLowStockProducts({
+      status,
+      skip: (pageNum - 1) * limitNum,
+      limit: limitNum
+    });
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      total,
+      totalPages,
+      currentPage: pageNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+      products
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getStockMovements,
+  createStockMovement,
+  getStockReconciliation,
+  getLowStockProducts
+};
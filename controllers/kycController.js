@@ -0,0 +1,354 @@
+const KycSubmission = require('../models/KycSubmission');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { validationResult } = require('express-validator');
+const { recordAudit } = require('../services/auditService');
+const { deleteFile, getPrivateFilePath } = require('../middleware/uploadMiddleware');
+
+// Upload field name for each document side
+const DOCUMENT_FIELDS = {
+  documentFront: 'front',
+  documentBack: 'back',
+  selfie: 'selfie'
+};
+
+// Remove files stored by multer when a submission is rejected
+const removeUploadedFiles = (req) => {
+  Object.values(req.files || {}).flat().forEach(file => deleteFile(file.path));
+};
+
+/**
+ * Submit KYC documents
+ * POST /api/kyc
+ */
+const submitKyc = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploadedFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+
+    if (req.user.isKycVerified) {
+      removeUploadedFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: 'KYC is already verified'
+      });
+    }
+
+    const pending = await KycSubmission.exists({
+      userId,
+      status: { $in: ['submitted', 'under_review'] }
+    });
+
+    if (pending) {
+      removeUploadedFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: 'A KYC submission is already pending review'
+      });
+    }
+
+    const documents = [];
+    for (const [field, side] of Object.entries(DOCUMENT_FIELDS)) {
+      const file = req.files?.[field]?.[0];
+      if (file) {
+        documents.push({
+          side,
+          filename: file.filename,
+          originalName: file.originalname,
+          mimetype: file.mimetype,
+          size: file.size
+        });
+      }
+    }
+
+    if (!documents.some(doc => doc.side === 'front')) {
+      removeUploadedFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: 'The front of the document is required'
+      });
+    }
+
+    const { documentType, documentNumber } = req.body;
+
+    const submission = await KycSubmission.create({
+      userId,
+      documentType,
+      documentNumber,
+      documents,
+      history: [{ status: 'submitted', by: userId }]
+    });
+
+    await Notification.create({
+      userId,
+      type: 'system',
+      title: 'KYC Submitted',
+      message: 'Your KYC documents have been submitted and will be reviewed shortly.',
+      data: { kycSubmissionId: submission._id, status: submission.status }
+    });
+
+    const submissionResponse = submission.toObject();
+    delete submissionResponse.documentNumber;
+
+    res.status(201).json({
+      success: true,
+      message: 'KYC submitted successfully',
+      submission: submissionResponse
+    });
+
+  } catch (error) {
+    removeUploadedFiles(req);
+    // A concurrent submission claimed the pending slot first
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A KYC submission is already pending review'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get current user's KYC submissions
+ * GET /api/kyc/me
+ */
+const getMyKyc = async (req, res, next) => {
+  try {
+    const submissions = await KycSubmission.find({ userId: req.user.id })
+      .sort({ createdAt: -1 })
+      .select('-__v -reviewedBy -reviewerNotes -history.by -history.notes');
+
+    res.status(200).json({
+      success: true,
+      isKycVerified: req.user.isKycVerified,
+      count: submissions.length,
+      submissions
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get KYC submissions for review (Admin)
+ * GET /api/kyc/admin
+ */
+const getKycSubmissions = async (req, res, next) => {
+  try {
+    const { status, limit = 20, page = 1 } = req.query;
+
+    const filter = {};
+    if (status) {
+      filter.status = status;
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Oldest first so the review queue is worked in order
+    const submissions = await KycSubmission.find(filter)
+      .populate('userId', 'name email phone')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .select('-__v');
+
+    const total = await KycSubmission.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: submissions.length,
+      total,
+      submissions
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single KYC submission (Admin)
+ * GET /api/kyc/admin/:id
+ */
+const getKycSubmission = async (req, res, next) => {
+  try {
+    const submission = await KycSubmission.findById(req.params.id)
+      .select('+documentNumber')
+      .populate('userId', 'name email phone isKycVerified')
+      .populate('reviewedBy', 'name email')
+      .populate('history.by', 'name role');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'KYC submission not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      submission
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a KYC document (Admin)
+ * GET /api/kyc/admin/:id/documents/:side
+ */
+const getKycDocument = async (req, res, next) => {
+  try {
+    const { id, side } = req.params;
+
+    const submission = await KycSubmission.findById(id);
+    const document = submission?.documents.find(doc => doc.side === side);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.type(document.mimetype || 'application/octet-stream');
+    res.sendFile(getPrivateFilePath('kyc', document.filename), (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Document file is missing'
+        });
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Review a KYC submission (Admin)
+ * PUT /api/kyc/admin/:id/review
+ */
+const reviewKycSubmission = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { status, notes, rejectionReason } = req.body;
+
+    const submission = await KycSubmission.findById(id);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'KYC submission not found'
+      });
+    }
+
+    if (!KycSubmission.TRANSITIONS[submission.status].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change KYC status from ${submission.status} to ${status}`
+      });
+    }
+
+    if (status === 'rejected' && !rejectionReason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const previousStatus = submission.status;
+    submission.status = status;
+    if (notes) submission.reviewerNotes = notes;
+    if (status === 'rejected') submission.rejectionReason = rejectionReason;
+    if (status === 'approved' || status === 'rejected') {
+      submission.reviewedBy = req.user.id;
+      submission.reviewedAt = new Date();
+    }
+    submission.history.push({ status, by: req.user.id, notes });
+
+    await submission.save();
+
+    if (status === 'approved') {
+      await User.findByIdAndUpdate(submission.userId, { isKycVerified: true });
+    }
+
+    await recordAudit(req, {
+      action: 'kyc.reviewed',
+      targetType: 'KycSubmission',
+      targetId: submission._id,
+      before: { status: previousStatus },
+      after: { status, rejectionReason: submission.rejectionReason },
+      metadata: { userId: submission.userId }
+    });
+
+    const notificationContent = {
+      under_review: {
+        type: 'system',
+        title: 'KYC Under Review',
+        message: 'Your KYC documents are being reviewed.'
+      },
+      approved: {
+        type: 'success',
+        title: 'KYC Approved',
+        message: 'Your KYC has been verified successfully.'
+      },
+      rejected: {
+        type: 'warning',
+        title: 'KYC Rejected',
+        message: `Your KYC was rejected: ${rejectionReason}. Please submit your documents again.`
+      }
+    }[status];
+
+    await Notification.create({
+      userId: submission.userId,
+      ...notificationContent,
+      priority: status === 'under_review' ? 'medium' : 'high',
+      data: { kycSubmissionId: submission._id, status }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'KYC submission reviewed successfully',
+      submission
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  submitKyc,
+  getMyKyc,
+  getKycSubmissions,
+  getKycSubmission,
+  getKycDocument,
+  reviewKycSubmission
+};
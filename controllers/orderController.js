@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Address = require('../models/Address');
@@ -5,8 +6,26 @@ const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const Notification = require('../models/Notification');
 const { validationResult } = require('express-validator');
+const { recordAudit } = require('../services/auditService');
+const { reserveStock, releaseStock, findVariant } = require('../services/inventoryService');
 const { v4: uuidv4 } = require('uuid');
 
+/**
+ * Build an order item from a product and, for products sold in variants,
+ * the chosen variant
+ */
+const buildOrderItem = (product, variant, quantity, fallbackLabel = '') => ({
+  productId: product._id,
+  name: product.name,
+  quantity,
+  price: variant ? variant.price : product.price,
+  image: variant?.images[0] || product.images[0],
+  unit: variant?.unit || product.unit,
+  variant: variant ? variant.label : fallbackLabel,
+  variantId: variant?._id,
+  sku: variant?.sku
+});
+
 /**
  * Create new order
  * POST /api/orders
@@ -61,15 +80,28 @@ const createOrder = async (req, res, next) => {
         });
       }
 
-      if (product.stockCount < item.quantity) {
+      // Products sold in variants need one to be chosen
+      let variant;
+      if (product.variants.length > 0) {
+        variant = findVariant(product, item);
+        if (!variant) {
+          return res.status(400).json({
+            success: false,
+            message: `Please select a valid variant of ${product.name}`
+          });
+        }
+      }
+
+      const available = variant ? variant.stockCount : product.stockCount;
+      if (available < item.quantity) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.stockCount}`
+          message: `Insufficient stock for ${product.name}${variant ? ` (${variant.label})` : ''}. Available: ${available}`
         });
       }
 
-      const itemTotal = product.price * item.quantity;
-      totalAmount += itemTotal;
+      const orderItem = buildOrderItem(product, variant, item.quantity, item.variant);
+      totalAmount += orderItem.price * item.quantity;
 
       // Update store info if available
       if (product.store) {
@@ -78,15 +110,7 @@ const createOrder = async (req, res, next) => {
         // storeInfo.location = product.store.location || storeInfo.location;
       }
 
-      orderItems.push({
-        productId: product._id,
-        name: product.name,
-        quantity: item.quantity,
-        price: product.price,
-        image: product.images[0],
-        unit: product.unit,
-        variant: item.variant || ''
-      });
+      orderItems.push(orderItem);
     }
 
     // Calculate delivery fee and discount
@@ -94,8 +118,13 @@ const createOrder = async (req, res, next) => {
     const discount = 0; // Apply promo code logic here
     const finalAmount = totalAmount + deliveryFee - discount;
 
+    // Reserve stock first so concurrent orders cannot both take the last items
+    const orderId = new mongoose.Types.ObjectId();
+    await reserveStock(orderItems, { order: orderId, actor: userId });
+
     // Create order
     const order = await Order.create({
+      _id: orderId,
       userId,
       items: orderItems,
       totalAmount,
@@ -122,18 +151,11 @@ const createOrder = async (req, res, next) => {
         description: 'Your order has been placed successfully',
         completed: true
       }]
+    }).catch(async (error) => {
+      await releaseStock(orderItems, { order: orderId, actor: userId, reason: 'Order could not be created' });
+      throw error;
     });
 
-    // Update product stock and sales
-    for (const item of orderItems) {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: {
-          stockCount: -item.quantity,
-          totalSold: item.quantity
-        }
-      });
-    }
-
     // Update user statistics
     await User.findByIdAndUpdate(userId, {
       $inc: {
@@ -294,31 +316,37 @@ const cancelOrder = async (req, res, next) => {
       });
     }
 
-    // Update order status
-    order.status = 'cancelled';
-    order.canCancel = false;
-    order.canReorder = true;
-
-    // Add tracking step
-    order.orderTracking.push({
-      status: 'Order Cancelled',
-      time: new Date(),
-      description: 'Order has been cancelled by user',
-      completed: true
-    });
-
-    await order.save();
-
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: {
-          stockCount: -item.quantity,
-          totalSold: -item.quantity
+    // Update order status, only if it was not changed meanwhile, so stock is restored once
+    const cancelledOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status, canCancel: true },
+      {
+        $set: {
+          status: 'cancelled',
+          canCancel: false,
+          canReorder: true
+        },
+        $push: {
+          orderTracking: {
+            status: 'Order Cancelled',
+            time: new Date(),
+            description: 'Order has been cancelled by user',
+            completed: true
+          }
         }
+      },
+      { new: true }
+    );
+
+    if (!cancelledOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'The order was updated meanwhile. Please try again.'
       });
     }
 
+    // Restore product stock
+    await releaseStock(order.items, { order: order._id, actor: userId, reason: 'Cancelled by customer' });
+
     // Update user statistics
     await User.findByIdAndUpdate(userId, {
       $inc: {
@@ -345,7 +373,7 @@ const cancelOrder = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: 'Order cancelled successfully',
-      order
+      order: cancelledOrder
     });
 
   } catch (error) {
@@ -391,23 +419,26 @@ const reorderOrder = async (req, res, next) => {
         continue;
       }
 
-      if (product.stockCount < item.quantity) {
+      // Reorder the same variant, as long as the product still offers it
+      let variant;
+      if (product.variants.length > 0) {
+        variant = findVariant(product, item);
+        if (!variant) {
+          unavailableProducts.push(`${item.name}${item.variant ? ` (${item.variant})` : ''}`);
+          continue;
+        }
+      }
+
+      const available = variant ? variant.stockCount : product.stockCount;
+      if (available < item.quantity) {
         unavailableProducts.push(`${item.name} (insufficient stock)`);
         continue;
       }
 
-      const itemTotal = product.price * item.quantity;
-      totalAmount += itemTotal;
-
-      items.push({
-        productId: product._id,
-        name: product.name,
-        quantity: item.quantity,
-        price: product.price,
-        image: product.images[0],
-        unit: product.unit,
-        variant: item.variant || ''
-      });
+      const orderItem = buildOrderItem(product, variant, item.quantity, item.variant);
+      totalAmount += orderItem.price * item.quantity;
+
+      items.push(orderItem);
     }
 
     if (items.length === 0) {
@@ -421,8 +452,12 @@ const reorderOrder = async (req, res, next) => {
     const deliveryFee = totalAmount >= 500 ? 0 : 40;
     const finalAmount = totalAmount + deliveryFee;
 
+    const orderId = new mongoose.Types.ObjectId();
+    await reserveStock(items, { order: orderId, actor: userId });
+
     // Create new order
     const newOrder = await Order.create({
+      _id: orderId,
       userId,
       items,
       totalAmount,
@@ -439,18 +474,11 @@ const reorderOrder = async (req, res, next) => {
         description: 'Reorder placed successfully',
         completed: true
       }]
+    }).catch(async (error) => {
+      await releaseStock(items, { order: orderId, actor: userId, reason: 'Order could not be created' });
+      throw error;
     });
 
-    // Update product stock
-    for (const item of items) {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: {
-          stockCount: -item.quantity,
-          totalSold: item.quantity
-        }
-      });
-    }
-
     // Update user statistics
     await User.findByIdAndUpdate(userId, {
       $inc: {
@@ -623,17 +651,44 @@ const updateOrderStatus = async (req, res, next) => {
       });
     }
 
-    order.status = status;
+    const previousStatus = order.status;
 
-    // Add tracking step
-    order.orderTracking.push({
-      status: `Order Status Updated to ${status}`,
-      time: new Date(),
-      description: `Order status has been updated to ${status} by admin`,
-      completed: true
-    });
+    // Cancelled orders hold no stock: take it back when reopening one
+    const reopening = previousStatus === 'cancelled' && status !== 'cancelled';
+    if (reopening) {
+      await reserveStock(order.items, { order: order._id, actor: req.user.id });
+    }
 
-    await order.save();
+    // Only apply the change if the status was not changed meanwhile
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: previousStatus },
+      {
+        $set: { status },
+        $push: {
+          orderTracking: {
+            status: `Order Status Updated to ${status}`,
+            time: new Date(),
+            description: `Order status has been updated to ${status} by admin`,
+            completed: true
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updatedOrder) {
+      if (reopening) {
+        await releaseStock(order.items, { order: order._id, actor: req.user.id, reason: 'Order was updated meanwhile' });
+      }
+      return res.status(409).json({
+        success: false,
+        message: 'The order was updated meanwhile. Please try again.'
+      });
+    }
+
+    if (status === 'cancelled' && previousStatus !== 'cancelled') {
+      await releaseStock(order.items, { order: order._id, actor: req.user.id, reason: 'Cancelled by staff' });
+    }
 
     // Create notification
     await Notification.create({
@@ -644,10 +699,19 @@ const updateOrderStatus = async (req, res, next) => {
       data: { orderId: order._id, orderNumber: order.orderNumber, status }
     });
 
+    await recordAudit(req, {
+      action: 'order.status_updated',
+      targetType: 'Order',
+      targetId: order._id,
+      before: { status: previousStatus },
+      after: { status },
+      metadata: { orderNumber: order.orderNumber }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Order status updated successfully',
-      order
+      order: updatedOrder
     });
 
   } catch (error) {
@@ -1,6 +1,21 @@
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const { validationResult } = require('express-validator');
+const { recordAudit } = require('../services/auditService');
+const { searchProducts: runProductSearch, reindexProducts } = require('../services/searchService');
+const {
+  getSuggestions,
+  recordSearchQuery,
+  listQuerySuggestions,
+  moderateQuerySuggestion,
+  rebuildSuggestions
+} = require('../services/suggestionService');
+const { getProductFacets, emptyFacets } = require('../services/facetService');
+const { recordProductStockEdit, unchangedStockFilter, keepVariantStock } = require('../services/inventoryService');
+const { checkLowStock } = require('../services/lowStockService');
+const { softDeleteProduct, restoreProduct: restoreDeletedProduct } = require('../services/catalogDeletionService');
+const { purgeOrphanedUploads, generateMissingRenditions } = require('../services/uploadCleanupService');
+const { escapeRegex } = require('../utils/searchUtils');
 
 /**
  * Create new product
@@ -10,27 +25,42 @@ const createProduct = async (req, res, next) => {
   try {
     const {
       name,
+      sku,
       price,
       originalPrice,
       category,
-      store,
       unit,
       inStock,
       stockCount,
       isOrganic,
       freshness,
       description,
-      isFlashSale
+      isFlashSale,
+      tags,
+      variants,
+      reorderThreshold
     } = req.body;
 
-    // Validate required fields
-    if (!name || !price || !category) {
+    // Validate required fields (products sold in variants are priced per variant)
+    if (!name || (!price && !variants) || !category) {
       return res.status(400).json({
         success: false,
         message: 'Name, price, category, and store are required'
       });
     }
 
+    // Sellers can only list products in their own approved store
+    let { store } = req.body;
+    if (req.user.role === 'seller') {
+      if (req.user.sellerStatus !== 'approved' || !req.user.store) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your seller account is not approved yet'
+        });
+      }
+      store = req.user.store;
+    }
+
     // Handle images (uploaded via multer)
     let images = [];
     if (req.files && req.files.length > 0) {
@@ -39,6 +69,7 @@ const createProduct = async (req, res, next) => {
 
     const product = new Product({
       name,
+      sku,
       price,
       originalPrice,
       images,
@@ -50,11 +81,17 @@ const createProduct = async (req, res, next) => {
       isOrganic,
       freshness,
       description,
-      isFlashSale
+      isFlashSale,
+      tags,
+      variants,
+      reorderThreshold
     });
 
     await product.save();
 
+    await recordProductStockEdit(null, product, { actor: req.user.id, reason: 'Product created' });
+    await checkLowStock([product._id]);
+
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
@@ -79,24 +116,34 @@ const getProducts = async (req, res, next) => {
       maxPrice,
       isOrganic,
       isFlashSale,
-      sortBy = 'createdAt',
+      sortBy,
       order = 'desc',
       limit = 10,
       page = 1,
-      inStock
+      inStock,
+      store,
+      facets
     } = req.query;
 
-    // Build filter object
-    const filter = { isActive: true };
+    const includeFacets = facets === 'true';
+
+    // Calculate pagination
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), 100); // Max 100 items per page
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build filter object; facet filters are kept apart so facet counts can leave their own out
+    const baseFilter = { isActive: true };
+    const facetFilters = {};
 
     if (category) {
       if (category.match(/^[0-9a-fA-F]{24}$/)) {
-        filter.category = category;
+        facetFilters.category = category;
       } else {
         // Find category by name
-        const categoryDoc = await Category.findOne({ name: new RegExp(category, 'i') });
+        const categoryDoc = await Category.findOne({ name: new RegExp(`^${escapeRegex(category)}$`, 'i') });
         if (categoryDoc) {
-          filter.category = categoryDoc._id;
+          facetFilters.category = categoryDoc._id;
         } else {
           // If category not found, return empty results
           return res.status(200).json({
@@ -107,57 +154,73 @@ const getProducts = async (req, res, next) => {
             currentPage: pageNum,
             hasNextPage: false,
             hasPrevPage: false,
-            products: []
+            products: [],
+            ...(includeFacets && { facets: emptyFacets() })
           });
         }
       }
     }
 
-    if (search) {
-      filter.$or = [
-        { name: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') }
-      ];
+    if (store && /^[0-9a-fA-F]{24}$/.test(store)) {
+      facetFilters.store = store;
     }
 
     if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+      facetFilters.price = {};
+      if (minPrice) facetFilters.price.$gte = parseFloat(minPrice);
+      if (maxPrice) facetFilters.price.$lte = parseFloat(maxPrice);
     }
 
     if (isOrganic !== undefined) {
-      filter.isOrganic = isOrganic === 'true';
+      facetFilters.isOrganic = isOrganic === 'true';
     }
 
     if (isFlashSale !== undefined) {
-      filter.isFlashSale = isFlashSale === 'true';
+      baseFilter.isFlashSale = isFlashSale === 'true';
     }
 
     if (inStock !== undefined) {
-      filter.inStock = inStock === 'true';
+      facetFilters.inStock = inStock === 'true';
     }
 
-    // Build sort object
+    const filter = { ...baseFilter, ...facetFilters };
+
+    // Build sort object (search results default to relevance)
     const sortOrder = order === 'desc' ? -1 : 1;
-    const sort = {};
-    sort[sortBy] = sortOrder;
+    let sort;
+    if (sortBy || !search) {
+      sort = {};
+      sort[sortBy || 'createdAt'] = sortOrder;
+    }
 
-    // Calculate pagination
-    const pageNum = parseInt(page, 10);
-    const limitNum = Math.min(parseInt(limit, 10), 100); // Max 100 items per page
-    const skip = (pageNum - 1) * limitNum;
+    let products;
+    let total;
+    let facetCounts;
 
-    const products = await Product.find(filter)
-      .populate('category', 'name icon color')
-      // .populate('store', 'name location verified rating')
-      .select('-__v')
-      .sort(sort)
-      .skip(skip)
-      .limit(limitNum);
+    if (search) {
+      let textFilter;
+      ({ products, total, textFilter } = await runProductSearch(search, { filter, sort, skip, limit: limitNum }));
+
+      if (includeFacets) {
+        facetCounts = textFilter
+          ? await getProductFacets({ ...baseFilter, ...textFilter }, facetFilters)
+          : emptyFacets();
+      }
+    } else {
+      [products, total, facetCounts] = await Promise.all([
+        Product.find(filter)
+          .populate('category', 'name icon color')
+          // .populate('store', 'name location verified rating')
+          .select('-__v')
+          .sort(sort)
+          .skip(skip)
+          .limit(limitNum),
+        // Get total count for pagination
+        Product.countDocuments(filter),
+        includeFacets ? getProductFacets(baseFilter, facetFilters) : undefined
+      ]);
+    }
 
-    // Get total count for pagination
-    const total = await Product.countDocuments(filter);
     const totalPages = Math.ceil(total / limitNum);
 
     res.status(200).json({
@@ -168,7 +231,8 @@ const getProducts = async (req, res, next) => {
       currentPage: pageNum,
       hasNextPage: pageNum < totalPages,
       hasPrevPage: pageNum > 1,
-      products
+      products,
+      ...(includeFacets && { facets: facetCounts })
     });
 
   } catch (error) {
@@ -363,39 +427,34 @@ const searchProducts = async (req, res, next) => {
   try {
     const { q: query, limit = 20, page = 1 } = req.query;
 
-    if (!query || query.trim().length === 0) {
+    // A repeated parameter (?q=a&q=b) arrives as an array
+    if (typeof query !== 'string' || query.trim().length === 0) {
       return res.status(400).json({
         success: false,
         message: 'Search query is required'
       });
     }
 
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
     const skip = (pageNum - 1) * limitNum;
 
-    const searchRegex = new RegExp(query.trim(), 'i');
-
-    const filter = {
-      isActive: true,
-      $or: [
-        { name: searchRegex },
-        { description: searchRegex }
-      ]
-    };
-
-    const products = await Product.find(filter)
-      .populate('category', 'name icon color')
-      // .populate('store', 'name location verified')
-      .sort({ rating: -1, totalSold: -1 })
-      .skip(skip)
-      .limit(limitNum);
+    // Ranked by relevance, then rating and sales
+    const { products, total, terms } = await runProductSearch(query, {
+      filter: { isActive: true },
+      skip,
+      limit: limitNum
+    });
 
-    const total = await Product.countDocuments(filter);
+    if (total > 0 && pageNum === 1) {
+      // Search is public, so searchers are told apart by IP address
+      await recordSearchQuery(query, req.ip);
+    }
 
     res.status(200).json({
       success: true,
       query,
+      terms,
       count: products.length,
       total,
       products
@@ -406,6 +465,30 @@ const searchProducts = async (req, res, next) => {
   }
 };
 
+// Fields a product edit may change. Stock changes go through stock movements;
+// rating, reviews, sales counters and search fields are maintained by the server.
+const EDITABLE_PRODUCT_FIELDS = [
+  'name',
+  'sku',
+  'price',
+  'originalPrice',
+  'images',
+  'category',
+  'store',
+  'unit',
+  'isOrganic',
+  'freshness',
+  'description',
+  'isFlashSale',
+  'isActive',
+  'tags',
+  'variants',
+  'reorderThreshold'
+];
+
+// Times an edit is retried when the stock changes between reading and saving
+const UPDATE_ATTEMPTS = 3;
+
 /**
  * Update product
  * PUT /api/products/:id
@@ -413,16 +496,46 @@ const searchProducts = async (req, res, next) => {
 const updateProduct = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = {};
+    EDITABLE_PRODUCT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
 
     // Validate required fields
-    if (!updates.name || !updates.price || !updates.category) {
+    if (!updates.name || (!updates.price && !updates.variants) || !updates.category) {
       return res.status(400).json({
         success: false,
         message: 'Name, price, and category are required'
       });
     }
 
+    const existing = await Product.findById(id).select('store stockCount variants deletedAt');
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (existing.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restore the product before updating it'
+      });
+    }
+
+    // Sellers can only update products of their own store
+    if (req.user.role === 'seller') {
+      if (!req.user.store || String(existing.store) !== String(req.user.store)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only update products of your own store'
+        });
+      }
+      delete updates.store;
+    }
+
     // Handle images (uploaded via multer)
     let images = [];
     if (req.files && req.files.length > 0) {
@@ -430,18 +543,54 @@ const updateProduct = async (req, res, next) => {
       updates.images = images; // Add images to updates object
     }
 
-    const product = await Product.findByIdAndUpdate(id, updates, {
-      new: true,
-      runValidators: true
-    });
+    const submittedVariants = updates.variants;
+    let before = existing;
+    let product = null;
+
+    for (let attempt = 1; attempt <= UPDATE_ATTEMPTS && !product; attempt++) {
+      if (attempt > 1) {
+        before = await Product.findById(id).select('store stockCount variants deletedAt');
+        if (!before || before.deletedAt) {
+          return res.status(404).json({
+            success: false,
+            message: 'Product not found'
+          });
+        }
+      }
+
+      const filter = { _id: id, deletedAt: null };
+
+      if (submittedVariants !== undefined) {
+        // Keep variant IDs stable by SKU so orders and stock history still point to them,
+        // and only save the variant list while the stock it carries over is current
+        updates.variants = keepVariantStock(
+          Product.keepVariantIds(submittedVariants, before.variants),
+          before.variants
+        );
+        Object.assign(filter, unchangedStockFilter(before));
+      }
+
+      product = await Product.findOneAndUpdate(filter, updates, {
+        new: true,
+        runValidators: true
+      });
+    }
 
     if (!product) {
-      return res.status(404).json({
+      return res.status(409).json({
         success: false,
-        message: 'Product not found'
+        message: 'Stock of this product changed while saving, please try again'
       });
     }
 
+    // Adding or removing variants moves stock, which is recorded in the inventory ledger
+    if (submittedVariants !== undefined) {
+      await recordProductStockEdit(before, product, { actor: req.user.id, reason: 'Product edited' });
+    }
+    if (submittedVariants !== undefined || updates.reorderThreshold !== undefined) {
+      await checkLowStock([product._id]);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Product updated successfully',
@@ -453,25 +602,262 @@ const updateProduct = async (req, res, next) => {
 };
 
 /**
- * Delete product
+ * Delete product (soft delete, restorable)
  * DELETE /api/products/:id
  */
 const deleteProduct = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const product = await Product.findByIdAndDelete(id);
+    const { product, favoritesRemoved } = await softDeleteProduct(id, req.user.id);
 
-    if (!product) {
-      return res.status(404).json({
+    await recordAudit(req, {
+      action: 'product.deleted',
+      targetType: 'Product',
+      targetId: product._id,
+      metadata: { name: product.name, favoritesRemoved }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Product deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a deleted product (Admin)
+ * PUT /api/products/:id/restore
+ */
+const restoreProduct = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const product = await restoreDeletedProduct(id);
+
+    await recordAudit(req, {
+      action: 'product.restored',
+      targetType: 'Product',
+      targetId: product._id,
+      metadata: { name: product.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Product restored successfully',
+      product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get deleted products (Admin)
+ * GET /api/products/admin/deleted
+ */
+const getDeletedProducts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const filter = { deletedAt: { $ne: null } };
+
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .populate('category', 'name')
+        .populate('deletedBy', 'name email')
+        .select('-__v')
+        .sort({ deletedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Product.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      total,
+      totalPages,
+      currentPage: pageNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+      products
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete product and category images nothing references any more (Admin)
+ * POST /api/products/admin/uploads/purge
+ */
+const purgeUploads = async (req, res, next) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+
+    const result = await purgeOrphanedUploads({ dryRun });
+
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: 'uploads.purged',
+        targetType: 'Upload',
+        metadata: { scanned: result.scanned, removed: result.removed.length }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `${result.removed.length} orphaned files would be removed`
+        : `${result.removed.length} orphaned files removed`,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate missing image renditions for existing uploads (Admin)
+ * POST /api/products/admin/uploads/renditions
+ */
+const generateImageRenditions = async (req, res, next) => {
+  try {
+    const result = await generateMissingRenditions();
+
+    res.status(200).json({
+      success: true,
+      message: `Renditions generated for ${result.generated.length} images`,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Autocomplete suggestions for the search box
+ * GET /api/products/suggest
+ */
+const suggestProducts = async (req, res, next) => {
+  try {
+    const { q: query } = req.query;
+
+    if (typeof query !== 'string' || query.trim().length === 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Product not found'
+        message: 'Search query is required'
       });
     }
 
+    const suggestions = await getSuggestions(query);
+
+    res.set('Cache-Control', 'public, max-age=60');
     res.status(200).json({
       success: true,
-      message: 'Product deleted successfully'
+      query,
+      ...suggestions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rebuild the product search fields and autocomplete suggestions (Admin)
+ * POST /api/products/admin/search/reindex
+ */
+const reindexProductSearch = async (req, res, next) => {
+  try {
+    const count = await reindexProducts();
+    const suggestions = await rebuildSuggestions();
+
+    res.status(200).json({
+      success: true,
+      message: 'Product search index rebuilt',
+      count,
+      suggestions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List recorded search queries for moderation (Admin)
+ * GET /api/products/admin/search/queries
+ */
+const getSearchQueries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const { queries, total } = await listQuerySuggestions({ status, page: pageNum, limit: limitNum });
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: queries.length,
+      total,
+      totalPages,
+      currentPage: pageNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+      queries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject a recorded search query as a suggestion (Admin)
+ * PUT /api/products/admin/search/queries/:id
+ */
+const moderateSearchQuery = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { before, suggestion } = await moderateQuerySuggestion(req.params.id, req.body.status, req.user._id);
+
+    await recordAudit(req, {
+      action: 'search_query.moderated',
+      targetType: 'SearchSuggestion',
+      targetId: suggestion._id,
+      before: { status: before.status },
+      after: { status: suggestion.status },
+      metadata: { text: suggestion.text }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Search query ${suggestion.status}`,
+      query: suggestion
     });
   } catch (error) {
     next(error);
@@ -485,8 +871,16 @@ module.exports = {
   getFlashSaleProducts,
   getProductsByCategory,
   searchProducts,
+  suggestProducts,
   createProduct,
   getAllProducts,
   updateProduct,
-  deleteProduct
+  deleteProduct,
+  restoreProduct,
+  getDeletedProducts,
+  purgeUploads,
+  generateImageRenditions,
+  reindexProductSearch,
+  getSearchQueries,
+  moderateSearchQuery
 };
@@ -0,0 +1,137 @@
+const path = require('path');
+const ImportJob = require('../models/ImportJob');
+const Category = require('../models/Category');
+const { validationResult } = require('express-validator');
+const {
+  startProductImport,
+  exportProducts: buildProductExport
+} = require('../services/productImportService');
+const { escapeRegex } = require('../utils/searchUtils');
+
+/**
+ * Start a bulk product import (CSV or JSON file, or a JSON products array)
+ * POST /api/products/admin/import
+ */
+const importProducts = async (req, res, next) => {
+  try {
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun) === 'true';
+
+    let content;
+    let format;
+    if (req.file) {
+      content = req.file.buffer.toString('utf8');
+      format = path.extname(req.file.originalname).slice(1).toLowerCase();
+    } else if (Array.isArray(req.body.products)) {
+      content = req.body.products;
+      format = 'json';
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV or JSON file, or send a products array'
+      });
+    }
+
+    const job = await startProductImport({
+      content,
+      format,
+      dryRun,
+      actor: req.user.id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: dryRun ? 'Import validation started' : 'Import started',
+      job
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the progress and report of an import job
+ * GET /api/products/admin/import/:jobId
+ */
+const getImportJob = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = await ImportJob.findById(req.params.jobId)
+      .populate('createdBy', 'name email')
+      .select('-__v');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    const result = job.toJSON();
+    if (req.query.failedOnly === 'true') {
+      result.results = result.results.filter(row => row.status === 'failed');
+    }
+
+    res.status(200).json({
+      success: true,
+      job: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export products in the import format
+ * GET /api/products/admin/export
+ */
+const exportProducts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'csv', category } = req.query;
+
+    const filter = { deletedAt: null };
+    if (category) {
+      const categoryDoc = await Category.findOne({ name: new RegExp(`^${escapeRegex(category)}$`, 'i') });
+      if (!categoryDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+      filter.category = categoryDoc._id;
+    }
+
+    const { content, contentType, filename } = await buildProductExport({ format, filter });
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(content);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  importProducts,
+  getImportJob,
+  exportProducts
+};
@@ -0,0 +1,348 @@
+const path = require('path');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { validationResult } = require('express-validator');
+const { recordAudit } = require('../services/auditService');
+const { deleteFile } = require('../middleware/uploadMiddleware');
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 }
+};
+
+// Remove files stored by multer when a review is rejected
+const removeUploadedFiles = (req) => {
+  (req.files || []).forEach(file => deleteFile(file.path));
+};
+
+// Remove the stored photos of a review
+const removeReviewImages = (images = []) => {
+  images.forEach(image => deleteFile(path.join(__dirname, '..', image)));
+};
+
+/**
+ * Get product reviews
+ * GET /api/products/:id/reviews
+ */
+const getProductReviews = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { sort = 'newest', rating, page = 1, limit = 10 } = req.query;
+
+    const product = await Product.findById(id).select('rating reviews');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50);
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = { product: product._id };
+    if (rating) {
+      filter.rating = parseInt(rating, 10);
+    }
+
+    const [reviews, total, distribution] = await Promise.all([
+      Review.find(filter)
+        .populate('user', 'name avatar')
+        .select('-__v')
+        .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.newest)
+        .skip(skip)
+        .limit(limitNum),
+      Review.countDocuments(filter),
+      Review.aggregate([
+        { $match: { product: product._id } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      totalPages,
+      currentPage: pageNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+      summary: {
+        average: product.rating,
+        count: product.reviews,
+        distribution: [5, 4, 3, 2, 1].map(stars => ({
+          rating: stars,
+          count: distribution.find(group => group._id === stars)?.count || 0
+        }))
+      },
+      reviews
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Review a product received in a delivered order
+ * POST /api/products/:id/reviews
+ */
+const createReview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploadedFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { rating, title, comment } = req.body;
+
+    const product = await Product.findById(id).select('_id');
+
+    if (!product) {
+      removeUploadedFiles(req);
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const order = await Order.findOne({
+      userId,
+      status: 'delivered',
+      'items.productId': product._id
+    }).sort({ createdAt: -1 }).select('_id');
+
+    if (!order) {
+      removeUploadedFiles(req);
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review products from your delivered orders'
+      });
+    }
+
+    if (await Review.exists({ product: product._id, user: userId })) {
+      removeUploadedFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    const review = await Review.create({
+      product: product._id,
+      user: userId,
+      order: order._id,
+      rating,
+      title,
+      comment,
+      images: (req.files || []).map(file => `/uploads/reviews/${file.filename}`)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted successfully',
+      review
+    });
+
+  } catch (error) {
+    removeUploadedFiles(req);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update own review
+ * PUT /api/reviews/:id
+ */
+const updateReview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploadedFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!review) {
+      removeUploadedFiles(req);
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const { rating, title, comment } = req.body;
+    if (rating !== undefined) review.rating = rating;
+    if (title !== undefined) review.title = title;
+    if (comment !== undefined) review.comment = comment;
+
+    // New photos replace the previous ones
+    let replacedImages = [];
+    if (req.files && req.files.length > 0) {
+      replacedImages = [...review.images];
+      review.images = req.files.map(file => `/uploads/reviews/${file.filename}`);
+    }
+
+    await review.save();
+    removeReviewImages(replacedImages);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      review
+    });
+
+  } catch (error) {
+    removeUploadedFiles(req);
+    next(error);
+  }
+};
+
+/**
+ * Delete a review (own review, or any review for admin/staff)
+ * DELETE /api/reviews/:id
+ */
+const deleteReview = async (req, res, next) => {
+  try {
+    const isModerator = ['admin', 'staff'].includes(req.user.role);
+    const filter = { _id: req.params.id };
+    if (!isModerator) {
+      filter.user = req.user.id;
+    }
+
+    const review = await Review.findOneAndDelete(filter);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    removeReviewImages(review.images);
+
+    if (String(review.user) !== String(req.user.id)) {
+      await recordAudit(req, {
+        action: 'review.deleted',
+        targetType: 'Review',
+        targetId: review._id,
+        before: review.toObject(),
+        metadata: { product: review.product, user: review.user }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a review as helpful
+ * POST /api/reviews/:id/helpful
+ */
+const markReviewHelpful = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const review = await Review.findById(req.params.id).select('user helpfulCount');
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (String(review.user) === String(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot vote on your own review'
+      });
+    }
+
+    // Only counts the first vote of each user
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, helpfulVoters: { $ne: userId } },
+      { $addToSet: { helpfulVoters: userId }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    ).select('helpfulCount');
+
+    res.status(200).json({
+      success: true,
+      message: 'Review marked as helpful',
+      helpfulCount: (updated || review).helpfulCount
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove helpful vote from a review
+ * DELETE /api/reviews/:id/helpful
+ */
+const removeHelpfulVote = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const review = await Review.findById(req.params.id).select('helpfulCount');
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, helpfulVoters: userId },
+      { $pull: { helpfulVoters: userId }, $inc: { helpfulCount: -1 } },
+      { new: true }
+    ).select('helpfulCount');
+
+    res.status(200).json({
+      success: true,
+      message: 'Helpful vote removed',
+      helpfulCount: (updated || review).helpfulCount
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  markReviewHelpful,
+  removeHelpfulVote
+};
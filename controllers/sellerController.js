@@ -0,0 +1,347 @@
+const User = require('../models/User');
+const Store = require('../models/Store');
+const Notification = require('../models/Notification');
+const { validationResult } = require('express-validator');
+const { recordAudit } = require('../services/auditService');
+
+/**
+ * Apply to become a seller
+ * POST /api/sellers/apply
+ */
+const applyAsSeller = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (user.sellerStatus === 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Your seller application is already under review'
+      });
+    }
+
+    if (user.sellerStatus === 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already an approved seller'
+      });
+    }
+
+    const {
+      storeId,
+      businessName,
+      businessType,
+      gstin,
+      pan,
+      location,
+      phone,
+      email,
+      description,
+      yearsInBusiness,
+      address
+    } = req.body;
+
+    let store;
+
+    if (storeId) {
+      // Link an existing store
+      store = await Store.findById(storeId);
+      if (!store) {
+        return res.status(404).json({
+          success: false,
+          message: 'Store not found'
+        });
+      }
+
+      if (store.owner) {
+        return res.status(400).json({
+          success: false,
+          message: 'This store is already linked to another seller'
+        });
+      }
+    } else {
+      // Reuse the store created by an earlier rejected application while it is still
+      // inactive and unclaimed, otherwise create one
+      store = await Store.findOne({
+        _id: user.sellerApplication?.store,
+        createdBy: user._id,
+        owner: null,
+        isActive: false
+      }) || new Store({ isActive: false, createdBy: user._id });
+      store.name = businessName;
+      store.location = location;
+      store.phone = phone || user.phone;
+      store.email = email || user.email;
+      store.description = description;
+      store.yearsInBusiness = yearsInBusiness;
+      store.address = address;
+      await store.save();
+    }
+
+    // The store is linked to the applicant only once the application is approved
+
+    user.sellerStatus = 'pending';
+    user.sellerApplication = {
+      businessName: businessName || store.name,
+      businessType,
+      gstin,
+      pan,
+      store: store._id,
+      appliedAt: new Date()
+    };
+    await user.save();
+
+    await Notification.create({
+      userId: user._id,
+      type: 'system',
+      title: 'Seller Application Received',
+      message: `Your application to sell as ${store.name} has been received and is under review.`,
+      data: { storeId: store._id, sellerStatus: user.sellerStatus }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Seller application submitted successfully',
+      sellerStatus: user.sellerStatus,
+      sellerApplication: user.sellerApplication,
+      store
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get current user's seller application
+ * GET /api/sellers/application
+ */
+const getMySellerApplication = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .populate('sellerApplication.store', 'name location isActive verified')
+      .select('sellerStatus sellerApplication store');
+
+    res.status(200).json({
+      success: true,
+      sellerStatus: user.sellerStatus,
+      sellerApplication: user.sellerApplication,
+      store: user.store
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get seller applications (Admin)
+ * GET /api/sellers/admin/applications
+ */
+const getSellerApplications = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending', limit = 20, page = 1 } = req.query;
+
+    const filter = { sellerStatus: status };
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const applicants = await User.find(filter)
+      .populate('sellerApplication.store', 'name location phone email address isActive')
+      .select('name email phone role sellerStatus sellerApplication')
+      .sort({ 'sellerApplication.appliedAt': 1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await User.countDocuments(filter);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: applicants.length,
+      total,
+      totalPages,
+      currentPage: pageNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+      applications: applicants
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a seller application (Admin)
+ * PUT /api/sellers/admin/:userId/approve
+ */
+const approveSellerApplication = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.sellerStatus !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no pending seller application for this user'
+      });
+    }
+
+    // Claim the store only if no other seller was approved for it in the meantime
+    const store = await Store.findOneAndUpdate(
+      { _id: user.sellerApplication.store, owner: null },
+      { $set: { owner: user._id, isActive: true } },
+      { new: true }
+    );
+
+    if (!store) {
+      const exists = await Store.exists({ _id: user.sellerApplication.store });
+      return res.status(exists ? 409 : 400).json({
+        success: false,
+        message: exists
+          ? 'This store is already linked to another seller'
+          : 'The store for this application no longer exists'
+      });
+    }
+
+    user.sellerStatus = 'approved';
+    user.store = store._id;
+    // Staff and admins keep their role
+    if (user.role === 'customer') {
+      user.role = 'seller';
+    }
+    user.sellerApplication.reviewedAt = new Date();
+    user.sellerApplication.reviewedBy = req.user.id;
+    user.sellerApplication.rejectionReason = undefined;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'seller.approved',
+      targetType: 'User',
+      targetId: user._id,
+      before: { sellerStatus: 'pending' },
+      after: { sellerStatus: 'approved', role: user.role },
+      metadata: { storeId: store._id }
+    });
+
+    await Notification.create({
+      userId: user._id,
+      type: 'success',
+      title: 'Seller Application Approved',
+      message: `Congratulations! ${store.name} is now approved and you can start listing products.`,
+      priority: 'high',
+      data: { storeId: store._id, sellerStatus: user.sellerStatus }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Seller application approved successfully',
+      user: user.getPublicProfile(),
+      store
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a seller application (Admin)
+ * PUT /api/sellers/admin/:userId/reject
+ */
+const rejectSellerApplication = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.sellerStatus !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no pending seller application for this user'
+      });
+    }
+
+    user.sellerStatus = 'rejected';
+    user.sellerApplication.reviewedAt = new Date();
+    user.sellerApplication.reviewedBy = req.user.id;
+    user.sellerApplication.rejectionReason = reason;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'seller.rejected',
+      targetType: 'User',
+      targetId: user._id,
+      before: { sellerStatus: 'pending' },
+      after: { sellerStatus: 'rejected' },
+      metadata: { reason }
+    });
+
+    await Notification.create({
+      userId: user._id,
+      type: 'warning',
+      title: 'Seller Application Rejected',
+      message: `Your seller application was rejected: ${reason}. You can update your details and apply again.`,
+      priority: 'high',
+      data: { storeId: user.sellerApplication.store, sellerStatus: user.sellerStatus }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Seller application rejected',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  applyAsSeller,
+  getMySellerApplication,
+  getSellerApplications,
+  approveSellerApplication,
+  rejectSellerApplication
+};
@@ -1,7 +1,16 @@
 const User = require('../models/User');
 const Product = require('../models/Product');
 const { validationResult } = require('express-validator');
-const { getFileUrl, deleteFile } = require('../middleware/uploadMiddleware');
+const { getFileUrl, deleteImage } = require('../middleware/uploadMiddleware');
+const { revokeAllUserTokens } = require('../services/tokenService');
+const { sendVerificationEmailSafely } = require('../services/emailVerificationService');
+const {
+  buildUserDataExport,
+  requestAccountDeletion: scheduleAccountDeletion,
+  cancelAccountDeletion: cancelScheduledDeletion
+} = require('../services/accountService');
+const { recordAudit } = require('../services/auditService');
+const { requestOtp, verifyOtp } = require('../services/otpService');
 const path = require('path');
 
 /**
@@ -40,7 +49,14 @@ const updateProfile = async (req, res, next) => {
     // Build update object
     const updateData = {};
     if (name) updateData.name = name;
-    if (email) updateData.email = email;
+
+    // A changed email has to be verified again
+    const emailChanged = email && email !== req.user.email;
+    if (emailChanged) {
+      updateData.email = email;
+      updateData.isEmailVerified = false;
+      updateData.emailVerifiedAt = null;
+    }
 
     // Handle avatar upload
     if (req.file) {
@@ -50,7 +66,7 @@ const updateProfile = async (req, res, next) => {
         const avatarPath = user.avatar.split('/uploads/')[1];
         if (avatarPath) {
           const oldAvatarPath = path.join(__dirname, '../uploads', avatarPath);
-          deleteFile(oldAvatarPath);
+          deleteImage(oldAvatarPath);
         }
       }
 
@@ -74,6 +90,10 @@ const updateProfile = async (req, res, next) => {
       });
     }
 
+    if (emailChanged) {
+      await sendVerificationEmailSafely(user);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -239,6 +259,15 @@ const deactivateAccount = async (req, res, next) => {
       { new: true }
     ).select('-password');
 
+    await revokeAllUserTokens(req.user.id, 'deactivated');
+    await recordAudit(req, {
+      action: 'user.deactivated',
+      targetType: 'User',
+      targetId: req.user._id,
+      before: { isActive: req.user.isActive },
+      after: { isActive: false }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Account deactivated successfully',
@@ -250,6 +279,112 @@ const deactivateAccount = async (req, res, next) => {
   }
 };
 
+/**
+ * Download a copy of the user's personal data
+ * GET /api/users/me/export
+ */
+const exportUserData = async (req, res, next) => {
+  try {
+    const data = await buildUserDataExport(req.user.id);
+    const date = data.exportedAt.toISOString().slice(0, 10);
+
+    res.set('Content-Disposition', `attachment; filename="my-data-${date}.json"`);
+    res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send an OTP to confirm account deletion, for accounts created by OTP login
+ * that have no password of their own
+ * POST /api/users/me/deletion/otp
+ */
+const requestAccountDeletionOtp = async (req, res, next) => {
+  try {
+    const { expiresAt, resendAfter } = await requestOtp(req.user.phone, 'account_deletion');
+
+    res.status(200).json({
+      success: true,
+      message: 'OTP sent successfully',
+      expiresAt,
+      resendAfter
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request account deletion after the grace period
+ * POST /api/users/me/deletion
+ */
+const requestAccountDeletion = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    // Either the current password or a code from POST /api/users/me/deletion/otp
+    if (req.body.otp) {
+      await verifyOtp(user.phone, req.body.otp, 'account_deletion');
+    } else if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await scheduleAccountDeletion(user);
+    await recordAudit(req, {
+      action: 'user.deletion_requested',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { deletionScheduledFor: user.deletionScheduledFor }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion scheduled. You can cancel it until the scheduled date.',
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a pending account deletion
+ * DELETE /api/users/me/deletion
+ */
+const cancelAccountDeletion = async (req, res, next) => {
+  try {
+    await cancelScheduledDeletion(req.user);
+    await recordAudit(req, { action: 'user.deletion_cancelled', targetType: 'User', targetId: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all users
  * GET /api/users
@@ -268,12 +403,74 @@ const getAllUsers = async (req, res, next) => {
   }
 };
 
+/**
+ * Update user role (Admin)
+ * PUT /api/users/:id/role
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, {
+      action: 'user.role_changed',
+      targetType: 'User',
+      targetId: user._id,
+      before: { role: previousRole },
+      after: { role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      user
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   updateProfile,
   addToFavorites,
   removeFromFavorites,
   getFavorites,
   getStats,
+  exportUserData,
+  requestAccountDeletionOtp,
+  requestAccountDeletion,
+  cancelAccountDeletion,
   deactivateAccount,
-  getAllUsers // Added getAllUsers
+  getAllUsers, // Added getAllUsers
+  updateUserRole
 };
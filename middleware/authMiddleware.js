@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config');
+const { getAccessTokenSession } = require('../services/tokenService');
+const { touchSession } = require('../services/sessionService');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -22,7 +24,10 @@ const authMiddleware = async (req, res, next) => {
 
     try {
       // Verify token
-      const decoded = jwt.verify(token, config.JWT_SECRET);
+      const decoded = jwt.verify(token, config.JWT_SECRET, {
+        issuer: 'grocery-app',
+        audience: 'grocery-users'
+      });
 
       // Get user from token
       const user = await User.findById(decoded.id).select('-password');
@@ -41,8 +46,20 @@ const authMiddleware = async (req, res, next) => {
         });
       }
 
-      // Add user to request object
+      const session = await getAccessTokenSession(decoded, user);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked. Please login again.'
+        });
+      }
+
+      await touchSession(session, req);
+
+      // Add user, token payload and session to request object
       req.user = user;
+      req.tokenPayload = decoded;
+      req.sessionId = String(session._id);
       next();
 
     } catch (tokenError) {
@@ -0,0 +1,52 @@
+const Order = require('../models/Order');
+const config = require('../config');
+
+/**
+ * Check whether an action is configured to require a verified email
+ * @param {string} action - Action name (see EMAIL_VERIFICATION_REQUIRED_FOR)
+ * @returns {boolean} - True if the action is gated
+ */
+const isEmailVerificationRequired = (action) => {
+  return config.EMAIL_VERIFICATION_REQUIRED_FOR.includes(action);
+};
+
+/**
+ * Block an action until the user's email is verified, if configured for that action.
+ * Must be mounted after authMiddleware.
+ * @param {string} action - Action name
+ * @param {Function} appliesTo - Optional predicate on the request, e.g. only for online payments.
+ *   May be async; it is only called for gated actions and unverified users.
+ * @returns {Function} - Express middleware
+ */
+const requireVerifiedEmail = (action, appliesTo = () => true) => {
+  return async (req, res, next) => {
+    try {
+      if (isEmailVerificationRequired(action) && !req.user.isEmailVerified && await appliesTo(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email address to continue.'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Whether a reorder is paid online: it uses the payment method of the original
+ * order. Request predicate for requireVerifiedEmail on the reorder route.
+ * @param {Object} req - Express request
+ * @returns {Promise<boolean>} - False for COD orders and unknown orders
+ */
+const reordersWithOnlinePayment = async (req) => {
+  const order = await Order.findOne({ _id: req.params.id, userId: req.user.id }).select('paymentMethod');
+  return Boolean(order) && order.paymentMethod !== 'cod';
+};
+
+module.exports = {
+  isEmailVerificationRequired,
+  requireVerifiedEmail,
+  reordersWithOnlinePayment
+};
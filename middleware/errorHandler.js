@@ -92,6 +92,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     message: message,
+    ...(Array.isArray(error.errors) && { errors: error.errors }),
     ...(config.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -0,0 +1,22 @@
+const rateLimit = require('express-rate-limit');
+const config = require('../config');
+
+/**
+ * Per-IP rate limit for the unauthenticated login, signup, OTP and reset endpoints.
+ * Authenticated auth routes (refresh, logout, sessions) are not limited so a
+ * shared IP cannot lock users out of refreshing tokens or logging out.
+ */
+const authLimiter = rateLimit({
+  windowMs: config.RATE_LIMIT_WINDOW_MS,
+  max: config.MAX_REQUESTS_PER_WINDOW,
+  message: {
+    success: false,
+    message: 'Too many requests from this IP, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+module.exports = {
+  authLimiter
+};
@@ -0,0 +1,40 @@
+const { isTwoFactorRequired } = require('../services/twoFactorService');
+
+/**
+ * Restrict a route to the given user roles.
+ * Must be mounted after authMiddleware so that req.user is populated.
+ * Roles covered by the 2FA policy are also required to have 2FA enabled.
+ * @param {...string} roles - Roles allowed to access the route
+ * @returns {Function} - Express middleware
+ */
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided.'
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to perform this action.'
+      });
+    }
+
+    if (isTwoFactorRequired(req.user) && !req.user.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be enabled for your account. Set it up via /api/auth/2fa/setup.',
+        twoFactorSetupRequired: true
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  authorize
+};
@@ -3,6 +3,7 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const fs = require('fs');
+const { RENDITION_DIRS, getRenditionFilenames, generateRenditions } = require('../utils/imageUtils');
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '../uploads');
@@ -19,6 +20,15 @@ const createSubDir = (subDir) => {
   return fullPath;
 };
 
+// File extensions of the allowed image types
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
 // Storage configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -33,14 +43,17 @@ const storage = multer.diskStorage({
       uploadPath = 'categories';
     } else if (file.fieldname === 'storeImage' || req.route.path.includes('store')) {
       uploadPath = 'stores';
+    } else if (file.fieldname === 'reviewImages' || req.route.path.includes('review')) {
+      uploadPath = 'reviews';
     }
 
     const fullPath = createSubDir(uploadPath);
     cb(null, fullPath);
   },
   filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
+    // Generate unique filename; the extension follows the content type so renditions match it
+    const extension = IMAGE_EXTENSIONS[file.mimetype] || path.extname(file.originalname).toLowerCase();
+    const uniqueName = `${uuidv4()}${extension}`;
     cb(null, uniqueName);
   }
 });
@@ -64,6 +77,28 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Write renditions of product, category and avatar images once multer has stored them.
+// Files that cannot be decoded as images are removed and rejected.
+const processUploadedImages = async (req, res, next) => {
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+  const images = files.filter(file => RENDITION_DIRS.includes(path.basename(file.destination)));
+
+  try {
+    for (const file of images) {
+      await generateRenditions(file.path);
+    }
+  } catch (error) {
+    console.error('Failed to process uploaded image:', error.message);
+    files.forEach(file => deleteImage(file.path));
+    return res.status(400).json({
+      success: false,
+      message: 'Uploaded file is not a valid image'
+    });
+  }
+
+  next();
+};
+
 // Middleware functions
 const uploadSingle = (fieldName) => {
   return (req, res, next) => {
@@ -74,7 +109,7 @@ const uploadSingle = (fieldName) => {
           message: err.message
         });
       }
-      next();
+      processUploadedImages(req, res, next);
     });
   };
 };
@@ -88,7 +123,7 @@ const uploadMultiple = (fieldName, maxCount = 5) => {
           message: err.message
         });
       }
-      next();
+      processUploadedImages(req, res, next);
     });
   };
 };
@@ -96,6 +131,86 @@ const uploadMultiple = (fieldName, maxCount = 5) => {
 const uploadFields = (fields) => {
   return (req, res, next) => {
     upload.fields(fields)(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+      processUploadedImages(req, res, next);
+    });
+  };
+};
+
+// Private uploads (KYC documents) live outside the statically served uploads directory
+const privateUploadsDir = path.resolve(__dirname, '..', config.PRIVATE_UPLOADS_DIR);
+
+const privateStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const fullPath = path.join(privateUploadsDir, 'kyc');
+    if (!fs.existsSync(fullPath)) {
+      fs.mkdirSync(fullPath, { recursive: true });
+    }
+    cb(null, fullPath);
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
+  }
+});
+
+const privateFileFilter = (req, file, cb) => {
+  if (config.ALLOWED_KYC_DOCUMENT_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Invalid file type. Only ${config.ALLOWED_KYC_DOCUMENT_TYPES.join(', ')} are allowed.`), false);
+  }
+};
+
+const privateUpload = multer({
+  storage: privateStorage,
+  limits: {
+    fileSize: config.MAX_FILE_SIZE,
+    files: 5
+  },
+  fileFilter: privateFileFilter
+});
+
+const uploadPrivateFields = (fields) => {
+  return (req, res, next) => {
+    privateUpload.fields(fields)(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+      next();
+    });
+  };
+};
+
+// Import files (CSV/JSON) are parsed straight from memory and never stored
+const IMPORT_FILE_EXTENSIONS = ['.csv', '.json'];
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.MAX_IMPORT_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (IMPORT_FILE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Only ${IMPORT_FILE_EXTENSIONS.join(', ')} files are allowed.`), false);
+    }
+  }
+});
+
+const uploadImportFile = (fieldName) => {
+  return (req, res, next) => {
+    importUpload.single(fieldName)(req, res, (err) => {
       if (err) {
         return res.status(400).json({
           success: false,
@@ -107,9 +222,15 @@ const uploadFields = (fields) => {
   };
 };
 
+// Helper function to resolve a stored private file name to its absolute path
+const getPrivateFilePath = (subDir, filename) => {
+  return path.join(privateUploadsDir, subDir, path.basename(filename));
+};
+
 // Helper function to get file URL
 const getFileUrl = (req, filename) => {
   if (!filename) return null;
+  const cleanFilename = filename.split(path.sep).join('/');
   return `${req.protocol}://${req.get('host')}/uploads/${cleanFilename}`;
 };
 
@@ -127,11 +248,22 @@ const deleteFile = (filePath) => {
   }
 };
 
+// Helper function to delete an image together with its renditions
+const deleteImage = (filePath) => {
+  const dir = path.dirname(filePath);
+  getRenditionFilenames(path.basename(filePath)).forEach(filename => deleteFile(path.join(dir, filename)));
+  return deleteFile(filePath);
+};
+
 module.exports = {
   upload,
   uploadSingle,
   uploadMultiple,
   uploadFields,
+  uploadPrivateFields,
+  uploadImportFile,
+  getPrivateFilePath,
   getFileUrl,
-  deleteFile
+  deleteFile,
+  deleteImage
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  actorRole: {
+    type: String,
+    trim: true
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true,
+    index: true
+  },
+  targetType: {
+    type: String,
+    trim: true
+  },
+  targetId: {
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Entries are append-only; only the retention TTL removes them
+const rejectModification = function (next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectModification(next);
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectModification);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const SearchSuggestion = require('./SearchSuggestion');
+const { getImageRenditions } = require('../utils/imageUtils');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -27,6 +29,19 @@ const categorySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  wasActive: {
+    type: Boolean,
+    default: null // isActive before soft deletion, restored with the category
+  },
+  deletedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
   sortOrder: {
     type: Number,
     default: 0
@@ -36,5 +51,24 @@ const categorySchema = new mongoose.Schema({
 // Indexes for better performance
 categorySchema.index({ isActive: 1, sortOrder: 1 });
 categorySchema.index({ name: 1 });
+categorySchema.index({ deletedAt: 1 });
+
+// Resized URLs of the icon (null for external icons)
+categorySchema.virtual('renditions').get(function () {
+  return getImageRenditions(this.icon);
+});
+
+categorySchema.set('toJSON', { virtuals: true });
+
+// Keep the autocomplete suggestion in sync
+categorySchema.post('save', async function (doc) {
+  await SearchSuggestion.syncCategory(doc);
+});
+
+categorySchema.post('findOneAndDelete', async function (doc) {
+  if (doc) {
+    await SearchSuggestion.deleteOne({ type: 'category', refId: doc._id });
+  }
+});
 
 module.exports = mongoose.model('Category', categorySchema);
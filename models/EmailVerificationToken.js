@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const emailVerificationTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+emailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailVerificationToken', emailVerificationTokenSchema);
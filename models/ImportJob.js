@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const importRowResultSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: [true, 'Row number is required']
+  },
+  sku: {
+    type: String
+  },
+  name: {
+    type: String
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update']
+  },
+  status: {
+    type: String,
+    enum: ['valid', 'created', 'updated', 'failed'],
+    required: [true, 'Row status is required']
+  },
+  productId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product'
+  },
+  messages: [{
+    type: String // Validation problems of the row
+  }]
+}, { _id: false });
+
+const importJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['product_import'],
+    default: 'product_import'
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required'],
+    index: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: [true, 'Format is required']
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  counts: {
+    valid: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  results: [importRowResultSchema],
+  error: {
+    type: String // Why the whole job failed
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+importJobSchema.index({ status: 1 });
+importJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Kept for 30 days
+
+// Share of rows processed, for progress bars
+importJobSchema.virtual('progress').get(function () {
+  return this.total > 0 ? Math.round((this.processed / this.total) * 100) : 0;
+});
+
+importJobSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  variantId: {
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['initial', 'sale', 'cancel_restore', 'adjustment', 'restock', 'write_off'],
+    required: [true, 'Movement type is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'] // Signed change: negative takes stock out
+  },
+  stockAfter: {
+    type: Number // Stock of the product (or variant) right after the change
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot be longer than 200 characters']
+  },
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null // null for system changes
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    default: null
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ product: 1, variantId: 1 });
+inventoryMovementSchema.index({ order: 1 });
+inventoryMovementSchema.index({ type: 1, createdAt: -1 });
+
+// The ledger is append-only; corrections are recorded as new movements
+const rejectModification = function (next) {
+  next(new Error('Inventory movements cannot be modified or deleted'));
+};
+
+inventoryMovementSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectModification(next);
+  next();
+});
+
+inventoryMovementSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectModification);
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const kycDocumentSchema = new mongoose.Schema({
+  side: {
+    type: String,
+    enum: ['front', 'back', 'selfie'],
+    required: [true, 'Document side is required']
+  },
+  filename: {
+    type: String,
+    required: [true, 'Filename is required']
+  },
+  originalName: {
+    type: String,
+    trim: true
+  },
+  mimetype: {
+    type: String
+  },
+  size: {
+    type: Number,
+    min: [0, 'Size cannot be negative']
+  }
+}, { _id: false });
+
+const kycHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: [true, 'Status is required']
+  },
+  by: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  time: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const kycSubmissionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  documentType: {
+    type: String,
+    enum: ['aadhaar', 'pan', 'passport', 'driving_license', 'voter_id'],
+    required: [true, 'Document type is required']
+  },
+  documentNumber: {
+    type: String,
+    required: [true, 'Document number is required'],
+    trim: true,
+    maxlength: [30, 'Document number cannot be longer than 30 characters'],
+    select: false // Only shown to reviewers
+  },
+  documentNumberLast4: {
+    type: String,
+    trim: true
+  },
+  documents: {
+    type: [kycDocumentSchema],
+    validate: {
+      validator: function (documents) {
+        return documents && documents.some(doc => doc.side === 'front');
+      },
+      message: 'The front of the document is required'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'under_review', 'approved', 'rejected'],
+    default: 'submitted',
+    index: true
+  },
+  isPending: {
+    type: Boolean,
+    default: true, // Derived from status; a user can have one pending submission
+    select: false
+  },
+  reviewerNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reviewer notes cannot be longer than 500 characters']
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Rejection reason cannot be longer than 200 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  history: [kycHistorySchema]
+}, { timestamps: true });
+
+// Indexes for better performance
+kycSubmissionSchema.index({ userId: 1, createdAt: -1 });
+kycSubmissionSchema.index({ status: 1, createdAt: 1 });
+kycSubmissionSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { isPending: true } });
+
+// Allowed review transitions
+kycSubmissionSchema.statics.TRANSITIONS = {
+  submitted: ['under_review', 'approved', 'rejected'],
+  under_review: ['approved', 'rejected'],
+  approved: [],
+  rejected: []
+};
+
+kycSubmissionSchema.pre('save', function (next) {
+  if (this.isModified('documentNumber') && this.documentNumber) {
+    this.documentNumberLast4 = this.documentNumber.slice(-4);
+  }
+  if (this.isModified('status')) {
+    this.isPending = ['submitted', 'under_review'].includes(this.status);
+  }
+  next();
+});
+
+module.exports = mongoose.model('KycSubmission', kycSubmissionSchema);
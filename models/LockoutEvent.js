@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const lockoutEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['phone', 'ip'],
+    required: [true, 'Lockout type is required'],
+    index: true
+  },
+  identifier: {
+    type: String,
+    required: [true, 'Identifier is required'],
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  failures: {
+    type: Number,
+    required: [true, 'Failure count is required']
+  },
+  lockedUntil: {
+    type: Date,
+    required: [true, 'Lockout end is required']
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+lockoutEventSchema.index({ identifier: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LockoutEvent', lockoutEventSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Throttle key is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['phone', 'ip'],
+    required: [true, 'Throttle type is required']
+  },
+  failures: {
+    type: Number,
+    default: 0,
+    min: [0, 'Failures cannot be negative']
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, { timestamps: true });
+
+// Throttle state is dropped once it can no longer affect a login
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -9,7 +9,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['order', 'delivery', 'promotion', 'rating', 'wishlist', 'cart', 'system', 'warning', 'success'],
+    enum: ['order', 'delivery', 'promotion', 'rating', 'wishlist', 'cart', 'system', 'warning', 'success', 'security'],
     required: [true, 'Notification type is required'],
     index: true
   },
@@ -29,6 +29,12 @@ const orderItemSchema = new mongoose.Schema({
   },
   variant: {
     type: String
+  },
+  variantId: {
+    type: mongoose.Schema.ObjectId
+  },
+  sku: {
+    type: String
   }
 }, { _id: false });
 
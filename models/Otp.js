@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const otpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true,
+    match: [/^\d{10}$/, 'Phone number must be 10 digits']
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'account_deletion'],
+    default: 'login'
+  },
+  codeHash: {
+    type: String,
+    required: [true, 'Code hash is required'],
+    select: false
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Attempts cannot be negative']
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, { timestamps: true });
+
+// One pending code per phone and purpose
+otpSchema.index({ phone: 1, purpose: 1 }, { unique: true });
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Otp', otpSchema);
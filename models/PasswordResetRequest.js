@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const passwordResetRequestSchema = new mongoose.Schema({
+  identifierHash: {
+    type: String,
+    required: [true, 'Identifier hash is required'],
+    unique: true
+  },
+  lastRequestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+passwordResetRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetRequest', passwordResetRequestSchema);
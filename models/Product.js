@@ -1,4 +1,81 @@
 const mongoose = require('mongoose');
+const SearchSuggestion = require('./SearchSuggestion');
+const { buildSearchTerms } = require('../utils/searchUtils');
+const { getImageRenditions } = require('../utils/imageUtils');
+
+const productVariantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'SKU cannot be longer than 50 characters']
+  },
+  label: {
+    type: String,
+    required: [true, 'Variant label is required'],
+    trim: true,
+    maxlength: [50, 'Variant label cannot be longer than 50 characters']
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot be longer than 20 characters']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  originalPrice: {
+    type: Number,
+    min: [0, 'Original price cannot be negative']
+  },
+  stockCount: {
+    type: Number,
+    min: [0, 'Stock count cannot be negative'],
+    default: 0
+  },
+  images: [{
+    type: String
+  }]
+});
+
+productVariantSchema.virtual('discountPercentage').get(function () {
+  if (this.originalPrice && this.originalPrice > this.price) {
+    return Math.round(((this.originalPrice - this.price) / this.originalPrice) * 100);
+  }
+  return 0;
+});
+
+productVariantSchema.set('toJSON', { virtuals: true });
+
+// Multipart forms send variants as a JSON string
+const parseVariants = (variants) => {
+  if (typeof variants !== 'string') return variants;
+  try {
+    return JSON.parse(variants);
+  } catch (error) {
+    return variants; // Left for the cast error to report
+  }
+};
+
+/**
+ * Product-level price and stock derived from the variants: the product is
+ * listed "from" its cheapest variant and holds the combined stock
+ * @param {Array<Object>} variants - Product variants
+ * @returns {Object|null} - { price, originalPrice, stockCount } or null without variants
+ */
+const summarizeVariants = (variants) => {
+  if (!Array.isArray(variants) || variants.length === 0) return null;
+
+  const cheapest = variants.reduce((min, variant) => (Number(variant.price) < Number(min.price) ? variant : min));
+  return {
+    price: Number(cheapest.price),
+    originalPrice: cheapest.originalPrice ?? null,
+    stockCount: variants.reduce((sum, variant) => sum + (Number(variant.stockCount) || 0), 0)
+  };
+};
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -7,6 +84,12 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Product name cannot be longer than 200 characters']
   },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'SKU cannot be longer than 50 characters']
+  },
   price: {
     type: Number,
     required: [true, 'Price is required'],
@@ -26,6 +109,32 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Category is required'],
     index: true
   },
+  categoryName: {
+    type: String,
+    trim: true // Copied from the category for full-text search
+  },
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, 'Tag cannot be longer than 30 characters']
+    }],
+    // Multipart forms send tags as a comma-separated string
+    set: (tags) => typeof tags === 'string' ? tags.split(',').filter(tag => tag.trim()) : tags
+  },
+  searchTerms: {
+    type: [String],
+    select: false // Normalized vocabulary for prefix and typo matching
+  },
+  variants: {
+    type: [productVariantSchema],
+    set: parseVariants,
+    validate: {
+      validator: (variants) => new Set(variants.map(variant => variant.sku)).size === variants.length,
+      message: 'Variant SKUs must be unique'
+    }
+  },
   rating: {
     type: Number,
     min: [0, 'Rating cannot be less than 0'],
@@ -64,6 +173,15 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Stock count cannot be negative'],
     default: 0
   },
+  reorderThreshold: {
+    type: Number,
+    min: [0, 'Reorder threshold cannot be negative'],
+    default: null // null uses LOW_STOCK_DEFAULT_THRESHOLD
+  },
+  lowStockAlertedAt: {
+    type: Date,
+    default: null // Set while a low-stock alert is outstanding
+  },
   isOrganic: {
     type: Boolean,
     default: false,
@@ -84,6 +202,19 @@ const productSchema = new mongoose.Schema({
     default: true,
     index: true
   },
+  deletedAt: {
+    type: Date,
+    default: null // Soft-deleted products are kept so past orders still resolve
+  },
+  wasActive: {
+    type: Boolean,
+    default: null // isActive before soft deletion, restored with the product
+  },
+  deletedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
   totalSold: {
     type: Number,
     default: 0,
@@ -105,6 +236,166 @@ productSchema.index({ isFlashSale: 1, isActive: 1 });
 productSchema.index({ isOrganic: 1, isActive: 1 });
 productSchema.index({ name: 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ searchTerms: 1 });
+productSchema.index({ deletedAt: 1 });
+productSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $gt: '' } } });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
+productSchema.index(
+  { name: 'text', tags: 'text', categoryName: 'text', description: 'text' },
+  {
+    name: 'product_text_search',
+    weights: { name: 10, tags: 5, categoryName: 3, description: 1 }
+  }
+);
+
+// Derive the product price and stock from its variants, and inStock from the stock
+productSchema.pre('validate', function (next) {
+  const summary = summarizeVariants(this.variants);
+  if (summary) {
+    this.set(summary);
+  }
+  if (this.isNew || this.isModified('stockCount')) {
+    this.inStock = this.stockCount > 0;
+  }
+  next();
+});
+
+productSchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate() || {};
+  const variants = parseVariants(update.$set?.variants ?? update.variants);
+  const summary = summarizeVariants(variants);
+  if (summary) {
+    this.set(summary);
+  }
+
+  // Relative stock changes sync inStock afterwards (see inventoryService)
+  const stockCount = summary?.stockCount ?? update.$set?.stockCount ?? update.stockCount;
+  if (stockCount !== undefined && stockCount !== '') {
+    this.set('inStock', Number(stockCount) > 0);
+  }
+  next();
+});
+
+// Remember the category a product is moved out of, so its suggestion weight is refreshed too
+productSchema.pre('findOneAndUpdate', async function (next) {
+  try {
+    const update = this.getUpdate() || {};
+    if ('category' in { ...update, ...update.$set }) {
+      const previous = await this.model.findOne(this.getQuery()).select('category');
+      this.previousCategory = previous?.category;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Keep the denormalized search fields in sync on save
+productSchema.pre('save', async function (next) {
+  try {
+    // Category suggestions are weighted by their active products
+    if (this.isNew || this.isModified('isActive') || this.isModified('category')) {
+      const previous = this.isNew ? null : await this.constructor.findById(this._id).select('category');
+      this.$locals.weightedCategories = [this.category, previous?.category];
+    }
+
+    if (this.isNew || this.isModified('category')) {
+      const category = await mongoose.model('Category').findById(this.category).select('name');
+      this.categoryName = category?.name;
+    }
+
+    if (this.isNew || this.isModified('name') || this.isModified('tags') || this.isModified('categoryName')) {
+      this.searchTerms = buildSearchTerms(this);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Keep the autocomplete suggestion in sync
+productSchema.post('save', async function (doc) {
+  await SearchSuggestion.syncProduct(doc);
+  if (doc.$locals.weightedCategories) {
+    await SearchSuggestion.refreshCategoryWeights(doc.$locals.weightedCategories);
+  }
+});
+
+// findByIdAndUpdate skips save hooks, so refresh the search fields afterwards
+productSchema.post('findOneAndUpdate', async function (doc) {
+  if (!doc) return;
+
+  const update = this.getUpdate() || {};
+  const fields = { ...update, ...update.$set, ...update.$inc };
+
+  if (['name', 'tags', 'category'].some(field => field in fields)) {
+    await this.model.refreshSearchFields({ _id: doc._id });
+  }
+
+  if (['name', 'isActive', 'totalSold'].some(field => field in fields)) {
+    const product = await this.model.findById(doc._id).select('name isActive totalSold');
+    if (product) {
+      await SearchSuggestion.syncProduct(product);
+    }
+  }
+
+  if (['isActive', 'category'].some(field => field in fields)) {
+    await SearchSuggestion.refreshCategoryWeights([doc.category, this.previousCategory]);
+  }
+});
+
+productSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) {
+    await SearchSuggestion.deleteOne({ type: 'product', refId: doc._id });
+    await SearchSuggestion.refreshCategoryWeights([doc.category]);
+  }
+});
+
+/**
+ * Give submitted variants the IDs of existing variants with the same SKU, so
+ * orders and stock history keep pointing to them when the list is replaced
+ * @param {Array<Object>|string} variants - Submitted variants
+ * @param {Array<Object>} existingVariants - Current variants of the product
+ * @returns {Array<Object>|*} - Variants with IDs (other input is returned as is)
+ */
+productSchema.statics.keepVariantIds = function (variants, existingVariants = []) {
+  const parsed = parseVariants(variants);
+  if (!Array.isArray(parsed)) return parsed;
+
+  return parsed.map(variant => {
+    const match = !variant?._id && existingVariants.find(v => v.sku === String(variant?.sku || '').trim().toUpperCase());
+    return match ? { ...variant, _id: match._id } : variant;
+  });
+};
+
+/**
+ * Recompute the category name and search terms of matching products
+ * @param {Object} filter - Products to refresh (all products by default)
+ * @returns {Promise<number>} - Number of products updated
+ */
+productSchema.statics.refreshSearchFields = async function (filter = {}) {
+  const Category = mongoose.model('Category');
+  const categoryNames = new Map();
+  let updated = 0;
+
+  const cursor = this.find(filter).select('name tags category').lean().cursor();
+  for await (const product of cursor) {
+    const categoryId = String(product.category);
+    if (!categoryNames.has(categoryId)) {
+      const category = await Category.findById(product.category).select('name').lean();
+      categoryNames.set(categoryId, category?.name);
+    }
+
+    const categoryName = categoryNames.get(categoryId);
+    await this.updateOne(
+      { _id: product._id },
+      { $set: { categoryName, searchTerms: buildSearchTerms({ ...product, categoryName }) } }
+    );
+    updated++;
+  }
+
+  return updated;
+};
 
 // Calculate discount percentage
 productSchema.virtual('discountPercentage').get(function () {
@@ -114,6 +405,20 @@ productSchema.virtual('discountPercentage').get(function () {
   return 0;
 });
 
+// Lowest and highest price across the variants
+productSchema.virtual('priceRange').get(function () {
+  if (!this.variants?.length) {
+    return { min: this.price, max: this.price };
+  }
+  const prices = this.variants.map(variant => variant.price);
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+});
+
+// Resized URLs of each image, in the order of images (null for external images)
+productSchema.virtual('renditions').get(function () {
+  return (this.images || []).map(getImageRenditions);
+});
+
 // Ensure virtuals are included in JSON
 productSchema.set('toJSON', { virtuals: true });
 
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required'] // Delivered order the product was received in
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot be longer than 100 characters']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot be longer than 1000 characters']
+  },
+  images: [{
+    type: String
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Helpful count cannot be negative']
+  },
+  helpfulVoters: {
+    type: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+reviewSchema.index({ product: 1, user: 1 }, { unique: true }); // One review per product and customer
+reviewSchema.index({ product: 1, createdAt: -1 });
+reviewSchema.index({ product: 1, helpfulCount: -1, createdAt: -1 });
+
+/**
+ * Recompute the average rating and review count stored on a product
+ * @param {string} productId - Product ID
+ */
+reviewSchema.statics.updateProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)) } },
+    { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Product').updateOne(
+    { _id: productId },
+    {
+      $set: {
+        rating: stats ? Math.round(stats.average * 10) / 10 : 0,
+        reviews: stats ? stats.count : 0
+      }
+    }
+  );
+};
+
+// Keep the product's aggregated rating in sync
+reviewSchema.pre('save', function (next) {
+  this.$locals.ratingChanged = this.isNew || this.isModified('rating');
+  next();
+});
+
+reviewSchema.post('save', async function (doc) {
+  if (doc.$locals.ratingChanged) {
+    await doc.constructor.updateProductRating(doc.product);
+  }
+});
+
+reviewSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) {
+    await this.model.updateProductRating(doc.product);
+  }
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { REVOCATION_REASONS } = require('./revocationReasons');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token identifier is required'],
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  reason: {
+    type: String,
+    enum: REVOCATION_REASONS,
+    default: 'logout'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, { timestamps: true });
+
+// Revoked entries are only needed until the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
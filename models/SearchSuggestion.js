@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { normalizeText, tokenize } = require('../utils/searchUtils');
+
+// Searchers remembered per query; the oldest drop off beyond this
+const MAX_QUERY_SEARCHERS = 1000;
+
+const searchSuggestionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['product', 'category', 'query'],
+    required: [true, 'Suggestion type is required']
+  },
+  text: {
+    type: String,
+    required: [true, 'Suggestion text is required'],
+    trim: true
+  },
+  normalized: {
+    type: String,
+    required: [true, 'Normalized text is required']
+  },
+  keywords: {
+    type: [String],
+    default: []
+  },
+  refId: {
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  weight: {
+    type: Number,
+    default: 0
+  },
+  // Queries only: hashed user IDs or IP addresses that searched it
+  searchers: {
+    type: [String],
+    select: false
+  },
+  // Queries only: free text is not suggested to others until a moderator approves it
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected']
+  },
+  moderatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+searchSuggestionSchema.index({ keywords: 1, type: 1, weight: -1 });
+searchSuggestionSchema.index({ type: 1, refId: 1 }, { unique: true, partialFilterExpression: { refId: { $type: 'objectId' } } });
+searchSuggestionSchema.index({ type: 1, normalized: 1 }, { unique: true, partialFilterExpression: { type: 'query' } });
+searchSuggestionSchema.index({ type: 1, status: 1, weight: -1 });
+
+/**
+ * Add, update or remove the suggestion for a product
+ * @param {Object} product - Product document
+ */
+searchSuggestionSchema.statics.syncProduct = async function (product) {
+  if (!product.isActive) {
+    return this.deleteOne({ type: 'product', refId: product._id });
+  }
+
+  await this.updateOne(
+    { type: 'product', refId: product._id },
+    {
+      $set: {
+        text: product.name,
+        normalized: normalizeText(product.name),
+        keywords: tokenize(product.name, 1),
+        weight: product.totalSold || 0
+      }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Add, update or remove the suggestion for a category
+ * @param {Object} category - Category document
+ */
+searchSuggestionSchema.statics.syncCategory = async function (category) {
+  if (!category.isActive) {
+    return this.deleteOne({ type: 'category', refId: category._id });
+  }
+
+  const weight = await mongoose.model('Product').countDocuments({ category: category._id, isActive: true });
+
+  await this.updateOne(
+    { type: 'category', refId: category._id },
+    {
+      $set: {
+        text: category.name,
+        normalized: normalizeText(category.name),
+        keywords: tokenize(category.name, 1),
+        weight
+      }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Recompute the weight of category suggestions after products were added,
+ * removed, hidden or moved. Categories without a suggestion are skipped.
+ * @param {Array<string>} categoryIds - Categories whose products changed
+ */
+searchSuggestionSchema.statics.refreshCategoryWeights = async function (categoryIds) {
+  const ids = [...new Set(categoryIds.filter(Boolean).map(String))];
+
+  for (const id of ids) {
+    const weight = await mongoose.model('Product').countDocuments({ category: id, isActive: true });
+    await this.updateOne({ type: 'category', refId: id }, { $set: { weight } });
+  }
+};
+
+/**
+ * Count a search query that returned results. The weight is the number of
+ * different searchers; repeat searches by the same searcher are not counted.
+ * @param {string} query - Search query
+ * @param {string} searcher - Hashed user ID or IP address
+ */
+searchSuggestionSchema.statics.recordQuery = async function (query, searcher) {
+  const normalized = normalizeText(query);
+  if (!normalized) return;
+
+  try {
+    await this.updateOne(
+      { type: 'query', normalized, searchers: { $ne: searcher } },
+      {
+        $set: { text: normalized, keywords: tokenize(normalized, 1) },
+        $setOnInsert: { status: 'pending' },
+        $push: { searchers: { $each: [searcher], $slice: -MAX_QUERY_SEARCHERS } },
+        $inc: { weight: 1 }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Already counted for this searcher: the upsert hit the unique index
+    if (error.code !== 11000) throw error;
+  }
+};
+
+module.exports = mongoose.model('SearchSuggestion', searchSuggestionSchema);
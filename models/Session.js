@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { REVOCATION_REASONS } = require('./revocationReasons');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot be longer than 100 characters']
+  },
+  platform: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Platform cannot be longer than 50 characters']
+  },
+  appVersion: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'App version cannot be longer than 20 characters']
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: REVOCATION_REASONS,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+sessionSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -8,6 +8,17 @@ const storeSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Store name cannot be longer than 100 characters']
   },
+  owner: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null // Applicant who created the store with a seller application
+  },
   rating: {
     type: Number,
     min: [0, 'Rating cannot be less than 0'],
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const config = require('../config');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -17,6 +18,13 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please use a valid email address']
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   phone: {
     type: String,
     required: [true, 'Phone number is required'],
@@ -30,10 +38,20 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Do not return password by default in queries
   },
+  passwordHistory: {
+    type: [String],
+    select: false // Hashes of previous passwords
+  },
   avatar: {
     type: String,
     default: 'https://images.pexels.com/photos/1239291/pexels-photo-1239291.jpeg?auto=compress&cs=tinysrgb&w=400'
   },
+  role: {
+    type: String,
+    enum: ['customer', 'seller', 'staff', 'admin'],
+    default: 'customer',
+    index: true
+  },
   isKycVerified: {
     type: Boolean,
     default: false
@@ -43,6 +61,49 @@ const userSchema = new mongoose.Schema({
     enum: ['none', 'pending', 'approved', 'rejected'],
     default: 'none'
   },
+  sellerApplication: {
+    businessName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Business name cannot be longer than 100 characters']
+    },
+    businessType: {
+      type: String,
+      enum: ['individual', 'partnership', 'company']
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[0-9A-Z]{15}$/, 'GSTIN must be 15 characters']
+    },
+    pan: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{5}\d{4}[A-Z]$/, 'Please use a valid PAN']
+    },
+    store: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Store'
+    },
+    appliedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Rejection reason cannot be longer than 200 characters']
+    }
+  },
+  store: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Store',
+    default: null
+  },
   totalOrders: {
     type: Number,
     default: 0,
@@ -63,6 +124,43 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  tokensValidAfter: {
+    type: Date
+  },
+  deletionRequestedAt: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date
+  },
+  deletedAt: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false // Encrypted TOTP secret
+    },
+    pendingSecret: {
+      type: String,
+      select: false // Encrypted secret awaiting confirmation
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false // Hashed one-time recovery codes
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
   }
 }, { timestamps: true });
 
@@ -70,13 +168,24 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ phone: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ sellerStatus: 1, 'sellerApplication.appliedAt': 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
-    const salt = await bcrypt.genSalt(12);
+    // Remember the previous hash so the password policy can reject reuse
+    if (!this.isNew) {
+      const previous = await this.constructor.findById(this._id).select('+password +passwordHistory');
+      if (previous?.password) {
+        this.passwordHistory = [previous.password, ...(previous.passwordHistory || [])]
+          .slice(0, config.PASSWORD_HISTORY_SIZE);
+      }
+    }
+
+    const salt = await bcrypt.genSalt(config.BCRYPT_ROUNDS);
     this.password = await bcrypt.hash(this.password, salt);
     next();
   } catch (error) {
@@ -100,6 +209,8 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
+  delete userObject.tokensValidAfter;
   delete userObject.__v;
   return userObject;
 };
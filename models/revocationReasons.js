@@ -0,0 +1,17 @@
+// Why a refresh token, session or access token was revoked. Shared by the
+// RefreshToken, Session and RevokedToken schemas so every revocation path
+// validates against the same list.
+const REVOCATION_REASONS = [
+  'rotated',
+  'reuse_detected',
+  'logout',
+  'logout_all',
+  'session_revoked',
+  'password_change',
+  'password_reset',
+  'deactivated'
+];
+
+module.exports = {
+  REVOCATION_REASONS
+};
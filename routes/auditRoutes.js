@@ -0,0 +1,50 @@
+const express = require('express');
+const { query } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const { getAuditLogs } = require('../controllers/auditController');
+
+const router = express.Router();
+
+// Validation rules
+const auditQueryValidation = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Actor must be a valid user ID'),
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Target ID must be a valid ID'),
+  query('action')
+    .optional()
+    .isString()
+    .trim(),
+  query('targetType')
+    .optional()
+    .isString()
+    .trim(),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Admin only
+router.use(authMiddleware, authorize('admin'));
+
+router.get('/', auditQueryValidation, getAuditLogs);
+
+module.exports = router;
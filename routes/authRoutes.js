@@ -1,13 +1,29 @@
 const express = require('express');
 const { body } = require('express-validator');
 const authMiddleware = require('../middleware/authMiddleware');
+const { authLimiter } = require('../middleware/rateLimitMiddleware');
 const { uploadSingle } = require('../middleware/uploadMiddleware');
 const {
   signup,
   login,
+  requestLoginOtp,
+  verifyLoginOtp,
+  verifyTwoFactorLogin,
+  refresh,
   getMe,
   logout,
-  changePassword
+  logoutAll,
+  getSessions,
+  revokeSession,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
 } = require('../controllers/authController');
 
 const router = express.Router();
@@ -26,8 +42,9 @@ const signupValidation = [
     .matches(/^\d{10}$/)
     .withMessage('Phone number must be exactly 10 digits'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
   body('addressLine1')
     .trim()
     .notEmpty()
@@ -54,22 +71,139 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const otpRequestValidation = [
+  body('phone')
+    .matches(/^\d{10}$/)
+    .withMessage('Phone number must be exactly 10 digits')
+];
+
+const otpVerifyValidation = [
+  body('phone')
+    .matches(/^\d{10}$/)
+    .withMessage('Phone number must be exactly 10 digits'),
+  body('otp')
+    .matches(/^\d{4,8}$/)
+    .withMessage('OTP must be numeric'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
 const changePasswordValidation = [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('phone')
+    .optional()
+    .matches(/^\d{10}$/)
+    .withMessage('Phone number must be exactly 10 digits'),
+  body('channel')
+    .optional()
+    .isIn(['email', 'sms'])
+    .withMessage('Channel must be email or sms')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits')
+];
+
+const twoFactorLoginValidation = [
+  body('twoFactorToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string')
 ];
 
 // Public routes
-router.post('/signup', signupValidation, signup);
-router.post('/login', loginValidation, login);
+router.post('/signup', authLimiter, signupValidation, signup);
+router.post('/login', authLimiter, loginValidation, login);
+router.post('/otp/request', authLimiter, otpRequestValidation, requestLoginOtp);
+router.post('/otp/verify', authLimiter, otpVerifyValidation, verifyLoginOtp);
+router.post('/refresh', refreshValidation, refresh);
+router.post('/forgot-password', authLimiter, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', authLimiter, resetPasswordValidation, resetPassword);
+router.post('/verify-email', verifyEmailValidation, verifyEmail);
+router.post('/2fa/verify', authLimiter, twoFactorLoginValidation, verifyTwoFactorLogin);
 
 // Protected routes
 router.get('/me', authMiddleware, getMe);
 router.post('/logout', authMiddleware, logout);
+router.post('/logout-all', authMiddleware, logoutAll);
+router.post('/verify-email/resend', authMiddleware, resendVerificationEmail);
+router.get('/sessions', authMiddleware, getSessions);
+router.delete('/sessions/:id', authMiddleware, revokeSession);
 router.put('/change-password', authMiddleware, changePasswordValidation, changePassword);
+router.post('/2fa/setup', authMiddleware, setupTwoFactor);
+router.post('/2fa/enable', authMiddleware, twoFactorCodeValidation, enableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, twoFactorCodeValidation, regenerateRecoveryCodes);
+router.post('/2fa/disable', authMiddleware, disableTwoFactorValidation, disableTwoFactor);
 
 module.exports = router;
\ No newline at end of file
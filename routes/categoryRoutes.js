@@ -6,8 +6,12 @@ const {
   getPopularCategories,
   createCategory,
   updateCategory,
-  deleteCategory // Added deleteCategory
+  deleteCategory, // Added deleteCategory
+  restoreCategory,
+  getDeletedCategories
 } = require('../controllers/categoryController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
 const { uploadSingle } = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
@@ -17,17 +21,22 @@ router.get('/popular', getPopularCategories);
 router.get('/:id', getCategory);
 router.get('/', getCategories);
 
-// Admin/Authenticated routes (assuming authentication middleware would be applied here)
+// Admin routes
+router.get('/admin/deleted', authMiddleware, authorize('admin', 'staff'), getDeletedCategories);
+
 router.post(
   '/',
+  authMiddleware, authorize('admin', 'staff'),
   uploadSingle('categoryImg'), createCategory
 );
 
 router.put(
   '/:id',
+  authMiddleware, authorize('admin', 'staff'),
   uploadSingle('categoryImg'), updateCategory
 );
 
-router.delete('/:id', deleteCategory); // Added delete route
+router.delete('/:id', authMiddleware, authorize('admin', 'staff'), deleteCategory); // Added delete route
+router.put('/:id/restore', authMiddleware, authorize('admin', 'staff'), restoreCategory);
 
 module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const { body } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const { uploadPrivateFields } = require('../middleware/uploadMiddleware');
+const {
+  submitKyc,
+  getMyKyc,
+  getKycSubmissions,
+  getKycSubmission,
+  getKycDocument,
+  reviewKycSubmission
+} = require('../controllers/kycController');
+
+const router = express.Router();
+
+// Validation rules
+const submitKycValidation = [
+  body('documentType')
+    .isIn(['aadhaar', 'pan', 'passport', 'driving_license', 'voter_id'])
+    .withMessage('Invalid document type'),
+  body('documentNumber')
+    .trim()
+    .isLength({ min: 4, max: 30 })
+    .withMessage('Document number must be between 4 and 30 characters')
+];
+
+const reviewKycValidation = [
+  body('status')
+    .isIn(['under_review', 'approved', 'rejected'])
+    .withMessage('Status must be under_review, approved, or rejected'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be longer than 500 characters'),
+  body('rejectionReason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Rejection reason cannot be longer than 200 characters')
+];
+
+// All routes are protected
+router.use(authMiddleware);
+
+// User routes
+router.post(
+  '/',
+  uploadPrivateFields([
+    { name: 'documentFront', maxCount: 1 },
+    { name: 'documentBack', maxCount: 1 },
+    { name: 'selfie', maxCount: 1 }
+  ]),
+  submitKycValidation,
+  submitKyc
+);
+router.get('/me', getMyKyc);
+
+// Admin routes
+router.get('/admin', authorize('admin', 'staff'), getKycSubmissions);
+router.get('/admin/:id', authorize('admin', 'staff'), getKycSubmission);
+router.get('/admin/:id/documents/:side', authorize('admin', 'staff'), getKycDocument);
+router.put('/admin/:id/review', authorize('admin', 'staff'), reviewKycValidation, reviewKycSubmission);
+
+module.exports = router;
@@ -16,7 +16,7 @@ const router = express.Router();
 // Validation rules
 const createNotificationValidation = [
   body('type')
-    .isIn(['order', 'delivery', 'promotion', 'rating', 'wishlist', 'cart', 'system', 'warning', 'success'])
+    .isIn(['order', 'delivery', 'promotion', 'rating', 'wishlist', 'cart', 'system', 'warning', 'success', 'security'])
     .withMessage('Invalid notification type'),
   body('title')
     .trim()
@@ -1,6 +1,8 @@
 const express = require('express');
 const { body } = require('express-validator');
 const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const { requireVerifiedEmail, reordersWithOnlinePayment } = require('../middleware/emailVerificationMiddleware');
 const {
   createOrder,
   getOrders,
@@ -25,6 +27,14 @@ const createOrderValidation = [
   body('items.*.quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1'),
+  body('items.*.variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  body('items.*.sku')
+    .optional()
+    .isString()
+    .withMessage('Invalid SKU'),
   body('deliveryAddressId')
     .isMongoId()
     .withMessage('Invalid delivery address ID'),
@@ -55,14 +65,14 @@ router.use(authMiddleware);
 
 // User routes
 router.get('/', getOrders);
-router.post('/', createOrderValidation, createOrder);
+router.post('/', createOrderValidation, requireVerifiedEmail('online_payment', req => req.body.paymentMethod !== 'cod'), createOrder);
 router.get('/:id', getOrder);
 router.put('/:id/cancel', cancelOrder);
-router.post('/:id/reorder', reorderOrder);
+router.post('/:id/reorder', requireVerifiedEmail('online_payment', reordersWithOnlinePayment), reorderOrder);
 router.put('/:id/rate', rateOrderValidation, rateOrder);
 
 // Admin routes
-router.get('/admin/all', getAllOrders); // Admin: Get all orders
-router.put('/admin/:id/status', updateOrderStatusValidation, updateOrderStatus); // Admin: Update order status
+router.get('/admin/all', authorize('admin', 'staff'), getAllOrders); // Admin: Get all orders
+router.put('/admin/:id/status', authorize('admin', 'staff'), updateOrderStatusValidation, updateOrderStatus); // Admin: Update order status
 
 module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const {
   getProducts,
   getProduct,
@@ -6,24 +7,154 @@ const {
   getFlashSaleProducts,
   getProductsByCategory,
   searchProducts,
+  suggestProducts,
   createProduct,
   getAllProducts,
   updateProduct,
-  deleteProduct
+  deleteProduct,
+  restoreProduct,
+  getDeletedProducts,
+  purgeUploads,
+  generateImageRenditions,
+  reindexProductSearch,
+  getSearchQueries,
+  moderateSearchQuery
 } = require('../controllers/productController');
-const { uploadMultiple } = require('../middleware/uploadMiddleware');
+const { getProductReviews, createReview } = require('../controllers/reviewController');
+const {
+  getStockMovements,
+  createStockMovement,
+  getStockReconciliation,
+  getLowStockProducts
+} = require('../controllers/inventoryController');
+const {
+  importProducts,
+  getImportJob,
+  exportProducts
+} = require('../controllers/productImportController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const { uploadMultiple, uploadImportFile } = require('../middleware/uploadMiddleware');
 const router = express.Router();
 
+// Validation rules
+const createReviewValidation = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot be longer than 100 characters'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot be longer than 1000 characters')
+];
+
+const stockMovementValidation = [
+  body('type')
+    .isIn(['restock', 'adjustment', 'write_off'])
+    .withMessage('Type must be restock, adjustment, or write_off'),
+  body('quantity')
+    .isInt()
+    .withMessage('Quantity must be a whole number'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot be longer than 200 characters'),
+  body('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID')
+];
+
+const lowStockQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['out_of_stock', 'low', 'near'])
+    .withMessage('Status must be out_of_stock, low, or near')
+];
+
+const exportQueryValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json')
+];
+
+const importJobValidation = [
+  param('jobId')
+    .isMongoId()
+    .withMessage('Invalid import job ID')
+];
+
+const stockMovementQueryValidation = [
+  query('type')
+    .optional()
+    .isIn(['initial', 'sale', 'cancel_restore', 'adjustment', 'restock', 'write_off'])
+    .withMessage('Invalid movement type'),
+  query('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID')
+];
+
+const searchQueryListValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved or rejected')
+];
+
+const searchQueryModerationValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid search query ID'),
+  body('status')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Status must be approved or rejected')
+];
+
 // Public routes (no authentication required)
-router.post('/', uploadMultiple('productImages', 5), createProduct);
 router.get('/search', searchProducts);
+router.get('/suggest', suggestProducts);
 router.get('/featured', getFeaturedProducts);
 router.get('/flash-sale', getFlashSaleProducts);
 router.get('/category/:categoryId', getProductsByCategory);
+router.get('/:id/reviews', getProductReviews);
 router.get('/:id', getProduct);
 router.get('/all', getAllProducts); // New route to get all products
 router.get('/', getProducts);
-router.put('/:id', uploadMultiple('productImages', 5), updateProduct);
-router.delete('/:id', deleteProduct);
+
+// Catalog write routes
+router.post('/', authMiddleware, authorize('admin', 'staff', 'seller'), uploadMultiple('productImages', 5), createProduct);
+router.put('/:id', authMiddleware, authorize('admin', 'staff', 'seller'), uploadMultiple('productImages', 5), updateProduct);
+router.delete('/:id', authMiddleware, authorize('admin', 'staff'), deleteProduct);
+router.put('/:id/restore', authMiddleware, authorize('admin', 'staff'), restoreProduct);
+
+// Review routes
+router.post('/:id/reviews', authMiddleware, uploadMultiple('reviewImages', 5), createReviewValidation, createReview);
+
+// Inventory routes
+router.get('/:id/stock-movements', authMiddleware, authorize('admin', 'staff', 'seller'), stockMovementQueryValidation, getStockMovements);
+router.post('/:id/stock-movements', authMiddleware, authorize('admin', 'staff', 'seller'), stockMovementValidation, createStockMovement);
+
+// Admin routes
+router.post('/admin/search/reindex', authMiddleware, authorize('admin'), reindexProductSearch);
+router.get('/admin/search/queries', authMiddleware, authorize('admin', 'staff'), searchQueryListValidation, getSearchQueries);
+router.put('/admin/search/queries/:id', authMiddleware, authorize('admin', 'staff'), searchQueryModerationValidation, moderateSearchQuery);
+router.get('/admin/inventory/reconciliation', authMiddleware, authorize('admin', 'staff'), getStockReconciliation);
+router.get('/admin/low-stock', authMiddleware, authorize('admin', 'staff'), lowStockQueryValidation, getLowStockProducts);
+router.post('/admin/import', authMiddleware, authorize('admin', 'staff'), uploadImportFile('file'), importProducts);
+router.get('/admin/import/:jobId', authMiddleware, authorize('admin', 'staff'), importJobValidation, getImportJob);
+router.get('/admin/export', authMiddleware, authorize('admin', 'staff'), exportQueryValidation, exportProducts);
+router.get('/admin/deleted', authMiddleware, authorize('admin', 'staff'), getDeletedProducts);
+router.post('/admin/uploads/purge', authMiddleware, authorize('admin'), purgeUploads);
+router.post('/admin/uploads/renditions', authMiddleware, authorize('admin'), generateImageRenditions);
 
 module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const { body } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const { uploadMultiple } = require('../middleware/uploadMiddleware');
+const {
+  updateReview,
+  deleteReview,
+  markReviewHelpful,
+  removeHelpfulVote
+} = require('../controllers/reviewController');
+
+const router = express.Router();
+
+// Validation rules
+const updateReviewValidation = [
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot be longer than 100 characters'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot be longer than 1000 characters')
+];
+
+// All routes are protected
+router.use(authMiddleware);
+
+router.put('/:id', uploadMultiple('reviewImages', 5), updateReviewValidation, updateReview);
+router.delete('/:id', deleteReview);
+router.post('/:id/helpful', markReviewHelpful);
+router.delete('/:id/helpful', removeHelpfulVote);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const {
+  applyAsSeller,
+  getMySellerApplication,
+  getSellerApplications,
+  approveSellerApplication,
+  rejectSellerApplication
+} = require('../controllers/sellerController');
+
+const router = express.Router();
+
+// Validation rules
+const applyValidation = [
+  body('storeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid store ID'),
+  body('businessName')
+    .if(body('storeId').not().exists())
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Business name must be between 2 and 100 characters'),
+  body('location')
+    .if(body('storeId').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Store location is required'),
+  body('businessType')
+    .isIn(['individual', 'partnership', 'company'])
+    .withMessage('Business type must be individual, partnership, or company'),
+  body('gstin')
+    .optional()
+    .matches(/^[0-9A-Za-z]{15}$/)
+    .withMessage('GSTIN must be 15 characters'),
+  body('pan')
+    .optional()
+    .matches(/^[A-Za-z]{5}\d{4}[A-Za-z]$/)
+    .withMessage('Please provide a valid PAN'),
+  body('phone')
+    .optional()
+    .matches(/^\d{10}$/)
+    .withMessage('Phone number must be exactly 10 digits'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('address.pincode')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Pincode must be exactly 6 digits')
+];
+
+const applicationsQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved, or rejected')
+];
+
+const rejectValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Rejection reason must be between 1 and 200 characters')
+];
+
+// All routes are protected
+router.use(authMiddleware);
+
+// User routes
+router.post('/apply', applyValidation, applyAsSeller);
+router.get('/application', getMySellerApplication);
+
+// Admin routes
+router.get('/admin/applications', authorize('admin', 'staff'), applicationsQueryValidation, getSellerApplications);
+router.put('/admin/:userId/approve', authorize('admin'), approveSellerApplication);
+router.put('/admin/:userId/reject', authorize('admin'), rejectValidation, rejectSellerApplication);
+
+module.exports = router;
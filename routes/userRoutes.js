@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
 const { uploadSingle } = require('../middleware/uploadMiddleware');
 const {
   updateProfile,
@@ -9,7 +10,12 @@ const {
   getFavorites,
   getStats,
   deactivateAccount,
-  getAllUsers // Added getAllUsers
+  exportUserData,
+  requestAccountDeletionOtp,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  getAllUsers, // Added getAllUsers
+  updateUserRole
 } = require('../controllers/userController');
 
 const router = express.Router();
@@ -28,6 +34,23 @@ const updateProfileValidation = [
     .withMessage('Please provide a valid email')
 ];
 
+const deletionRequestValidation = [
+  body('password')
+    .if(body('otp').not().exists())
+    .notEmpty()
+    .withMessage('Password or OTP is required'),
+  body('otp')
+    .optional()
+    .matches(/^\d{4,8}$/)
+    .withMessage('OTP must be numeric')
+];
+
+const updateUserRoleValidation = [
+  body('role')
+    .isIn(['customer', 'seller', 'staff', 'admin'])
+    .withMessage('Role must be customer, seller, staff, or admin')
+];
+
 // All routes are protected
 router.use(authMiddleware);
 
@@ -36,12 +59,19 @@ router.put('/profile', uploadSingle('avatar'), updateProfileValidation, updatePr
 router.get('/stats', getStats);
 router.put('/deactivate', deactivateAccount);
 
+// Personal data routes
+router.get('/me/export', exportUserData);
+router.post('/me/deletion/otp', requestAccountDeletionOtp);
+router.post('/me/deletion', deletionRequestValidation, requestAccountDeletion);
+router.delete('/me/deletion', cancelAccountDeletion);
+
 // Favorites routes
 router.get('/favorites', getFavorites);
 router.post('/favorites/:productId', addToFavorites);
 router.delete('/favorites/:productId', removeFromFavorites);
 
-// Get all users route
-router.get('/', getAllUsers); // Added get all users route
+// Admin routes
+router.get('/', authorize('admin', 'staff'), getAllUsers); // Added get all users route
+router.put('/:id/role', authorize('admin'), updateUserRoleValidation, updateUserRole);
 
 module.exports = router;
@@ -5,7 +5,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
 const path = require('path');
 
 // Import configurations
@@ -15,6 +14,14 @@ const connectDB = require('./config/db');
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 
+// Import background jobs
+const { startAccountDeletionScheduler } = require('./services/accountService');
+const { failInterruptedImportJobs } = require('./services/productImportService');
+const { startUploadPurgeScheduler } = require('./services/uploadCleanupService');
+const { backfillOpeningStock } = require('./services/inventoryService');
+const { warnIfSmsUnavailable } = require('./services/sms');
+const { checkPasswordPolicy } = require('./utils/passwordUtils');
+
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
@@ -24,13 +31,29 @@ const categoryRoutes = require('./routes/categoryRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const transactionRoutes = require('./routes/transactionRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const kycRoutes = require('./routes/kycRoutes');
+const sellerRoutes = require('./routes/sellerRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
 
 // Initialize express app
 const app = express();
 
+// Behind a load balancer the client IP comes from X-Forwarded-For; rate limits,
+// login throttling and audit entries all rely on req.ip
+app.set('trust proxy', config.TRUST_PROXY);
+
 // Connect to database
 connectDB();
 
+// Refuse to start with a password policy that cannot be enforced
+try {
+  checkPasswordPolicy();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
 // Security middleware
 // app.use(helmet({
 //   crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -50,20 +73,6 @@ app.use(cors({
   optionsSuccessStatus: 200
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: config.RATE_LIMIT_WINDOW_MS,
-  max: config.MAX_REQUESTS_PER_WINDOW,
-  message: {
-    success: false,
-    message: 'Too many requests from this IP, please try again later.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
-
-// app.use('/api/', limiter);
-
 // Logging middleware
 if (config.NODE_ENV === 'development') {
   app.use(morgan('dev'));
@@ -97,6 +106,10 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/kyc', kycRoutes);
+app.use('/api/sellers', sellerRoutes);
+app.use('/api/audit-logs', auditRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -113,7 +126,10 @@ app.get('/', (req, res) => {
       categories: '/api/categories',
       orders: '/api/orders',
       transactions: '/api/transactions',
-      notifications: '/api/notifications'
+      notifications: '/api/notifications',
+      kyc: '/api/kyc',
+      sellers: '/api/sellers',
+      auditLogs: '/api/audit-logs'
     }
   });
 });
@@ -142,6 +158,21 @@ const server = app.listen(PORT, () => {
   `);
 });
 
+// Login codes cannot be sent until a real SMS provider is registered
+warnIfSmsUnavailable();
+
+// Anonymize accounts whose deletion grace period has ended
+startAccountDeletionScheduler();
+
+// Remove product and category images nothing references any more
+startUploadPurgeScheduler();
+
+// Import jobs run in-process, so any left running by a previous process were interrupted
+failInterruptedImportJobs().catch(error => console.error('Failed to clean up import jobs:', error.message));
+
+// Stock that existed before the inventory ledger gets an opening balance, once
+backfillOpeningStock().catch(error => console.error('Failed to backfill opening stock:', error.message));
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received');
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Address = require('../models/Address');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const Notification = require('../models/Notification');
+const Review = require('../models/Review');
+const Otp = require('../models/Otp');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const KycSubmission = require('../models/KycSubmission');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const LockoutEvent = require('../models/LockoutEvent');
+const config = require('../config');
+const { revokeAllUserTokens } = require('./tokenService');
+const { recordAudit } = require('./auditService');
+const { clearLoginFailures } = require('./loginProtectionService');
+const { createError } = require('../utils/errorUtils');
+const { deleteFile, getPrivateFilePath } = require('../middleware/uploadMiddleware');
+
+const DELETED_NAME = 'Deleted User';
+const REDACTED = 'Redacted';
+
+/**
+ * Collect everything stored about a user into a single exportable object
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Export archive
+ */
+const buildUserDataExport = async (userId) => {
+  const user = await User.findById(userId).populate('favorites', 'name price unit images');
+
+  if (!user) {
+    throw createError(404, 'User not found');
+  }
+
+  const [addresses, orders, transactions, notifications, reviews, kycSubmissions, sessions] = await Promise.all([
+    Address.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Order.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Transaction.find({ userId }).sort({ timestamp: 1 }).lean(),
+    Notification.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Review.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    // The same view as GET /api/kyc/me; the ID images stay downloadable there
+    KycSubmission.find({ userId }).sort({ createdAt: 1 }).select('-__v -reviewedBy -history.by').lean(),
+    Session.find({ userId }).sort({ createdAt: 1 }).select('-__v').lean()
+  ]);
+
+  const { favorites, ...profile } = user.getPublicProfile();
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    addresses,
+    orders,
+    transactions,
+    favorites,
+    notifications,
+    reviews,
+    kycSubmissions,
+    sessions
+  };
+};
+
+/**
+ * Schedule a user's account for deletion after the grace period
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Updated user
+ */
+const requestAccountDeletion = async (user) => {
+  if (user.deletionScheduledFor) {
+    throw createError(400, 'Account deletion has already been requested');
+  }
+
+  const now = new Date();
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + config.ACCOUNT_DELETION_GRACE_PERIOD_MS);
+  await user.save({ validateBeforeSave: false });
+
+  await Notification.create({
+    userId: user._id,
+    type: 'security',
+    title: 'Account deletion scheduled',
+    message: `Your account and personal data will be deleted on ${user.deletionScheduledFor.toISOString()}. You can cancel the request until then from your account settings.`,
+    priority: 'high',
+    data: { deletionScheduledFor: user.deletionScheduledFor }
+  });
+
+  return user;
+};
+
+/**
+ * Cancel a pending account deletion
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Updated user
+ */
+const cancelAccountDeletion = async (user) => {
+  if (!user.deletionScheduledFor) {
+    throw createError(400, 'No account deletion has been requested');
+  }
+
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  return user;
+};
+
+/**
+ * Erase a user's personal data. Orders and transactions are kept for
+ * accounting, with the customer details on them replaced.
+ * @param {string} userId - User ID
+ */
+const anonymizeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) return;
+
+  await revokeAllUserTokens(user._id, 'deactivated');
+
+  // updateOne skips the pre-save hook, so hash the unusable password here
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), config.BCRYPT_ROUNDS);
+
+  // Placeholders stay unique so the email and phone number can be registered again
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        name: DELETED_NAME,
+        email: `deleted-${user._id}@deleted.invalid`,
+        phone: `deleted-${user._id}`,
+        password,
+        avatar: User.schema.path('avatar').defaultValue,
+        favorites: [],
+        isActive: false,
+        isEmailVerified: false,
+        isKycVerified: false,
+        'twoFactor.enabled': false,
+        deletedAt: new Date()
+      },
+      $unset: {
+        emailVerifiedAt: 1,
+        lastLogin: 1,
+        passwordHistory: 1,
+        deletionRequestedAt: 1,
+        deletionScheduledFor: 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1,
+        'sellerApplication.gstin': 1,
+        'sellerApplication.pan': 1
+      }
+    }
+  );
+
+  await Address.deleteMany({ userId: user._id });
+
+  // City, state and pincode stay on orders for tax reporting
+  await Order.updateMany(
+    { userId: user._id },
+    {
+      $set: {
+        'deliveryAddress.name': DELETED_NAME,
+        'deliveryAddress.phone': REDACTED,
+        'deliveryAddress.address': REDACTED
+      },
+      $unset: {
+        'deliveryAddress.landmark': 1,
+        review: 1,
+        specialInstructions: 1
+      }
+    }
+  );
+
+  // Star ratings stay so product averages do not change; the written review and photos go
+  const reviews = await Review.find({ user: user._id }).select('images').lean();
+  reviews.flatMap(review => review.images || []).forEach(image => deleteFile(path.join(__dirname, '..', image)));
+  await Review.updateMany(
+    { user: user._id },
+    {
+      $set: { images: [] },
+      $unset: { title: 1, comment: 1 }
+    }
+  );
+
+  await Transaction.updateMany(
+    { userId: user._id },
+    {
+      $set: { 'customerDetails.name': DELETED_NAME },
+      $unset: {
+        'customerDetails.phone': 1,
+        'customerDetails.email': 1,
+        'paymentDetails.upiId': 1
+      }
+    }
+  );
+
+  // Identity documents are not needed once the account is gone
+  const kycSubmissions = await KycSubmission.find({ userId: user._id }).select('documents').lean();
+  kycSubmissions
+    .flatMap(submission => submission.documents || [])
+    .forEach(doc => deleteFile(getPrivateFilePath('kyc', doc.filename)));
+
+  await Promise.all([
+    Notification.deleteMany({ userId: user._id }),
+    KycSubmission.deleteMany({ userId: user._id }),
+    Session.deleteMany({ userId: user._id }),
+    RefreshToken.deleteMany({ userId: user._id }),
+    LockoutEvent.deleteMany({ $or: [{ userId: user._id }, { type: 'phone', identifier: user.phone }] }),
+    clearLoginFailures(user.phone),
+    Otp.deleteMany({ phone: user.phone }),
+    PasswordResetToken.deleteMany({ userId: user._id }),
+    EmailVerificationToken.deleteMany({ userId: user._id })
+  ]);
+
+  await recordAudit(null, {
+    action: 'user.anonymized',
+    targetType: 'User',
+    targetId: user._id,
+    metadata: { deletionRequestedAt: user.deletionRequestedAt }
+  });
+};
+
+/**
+ * Anonymize every account whose grace period has ended
+ * @returns {Promise<number>} - Number of accounts processed
+ */
+const processDueAccountDeletions = async () => {
+  const users = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    deletedAt: null
+  }).select('_id');
+
+  for (const user of users) {
+    await anonymizeUser(user._id);
+  }
+
+  return users.length;
+};
+
+/**
+ * Periodically process due account deletions
+ * @returns {Object} - Interval handle
+ */
+const startAccountDeletionScheduler = () => {
+  const timer = setInterval(() => {
+    processDueAccountDeletions().catch((error) => {
+      console.error('Account deletion sweep failed:', error.message);
+    });
+  }, config.ACCOUNT_DELETION_SWEEP_INTERVAL_MS);
+
+  // Do not keep the process alive just for the sweep
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  buildUserDataExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  anonymizeUser,
+  processDueAccountDeletions,
+  startAccountDeletionScheduler
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+const config = require('../config');
+
+// Fields that never belong in an audit diff
+const IGNORED_FIELDS = ['password', 'updatedAt', '__v', 'twoFactor', 'tokensValidAfter'];
+
+/**
+ * Reduce two snapshots of a document to the fields that changed
+ * @param {Object} before - State before the change
+ * @param {Object} after - State after the change
+ * @returns {Object} - { before, after } containing only the changed fields
+ */
+const diffChanges = (before = {}, after = {}) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = { before: {}, after: {} };
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    if (JSON.stringify(before?.[key]) === JSON.stringify(after?.[key])) continue;
+    if (before && key in before) changes.before[key] = before[key];
+    if (after && key in after) changes.after[key] = after[key];
+  }
+
+  return changes;
+};
+
+/**
+ * Convert a document to a plain object for diffing
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object|undefined} - Plain object
+ */
+const toSnapshot = (doc) => {
+  if (!doc) return undefined;
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+};
+
+/**
+ * Keyed hash of a personal identifier (e.g. a phone number) for audit metadata.
+ * Entries cannot be edited, so the identifier itself is never stored; repeated
+ * attempts with the same value still share a hash.
+ * @param {string} value - Identifier
+ * @returns {string} - Hex digest
+ */
+const hashIdentifier = (value) => {
+  return crypto
+    .createHmac('sha256', config.JWT_SECRET)
+    .update(`audit:${value}`)
+    .digest('hex')
+    .slice(0, 32);
+};
+
+/**
+ * Append an entry to the audit log.
+ * Failures are logged and never fail the request being audited.
+ * @param {Object|null} req - Express request (actor, IP and user agent), or null for system actions
+ * @param {Object} entry - { action, targetType, targetId, before, after, metadata, actor }
+ */
+const recordAudit = async (req, { action, targetType, targetId, before, after, metadata, actor } = {}) => {
+  try {
+    const actorUser = actor || req?.user;
+    const entry = {
+      actor: actorUser?._id || null,
+      actorRole: actorUser?.role,
+      action,
+      targetType,
+      targetId: targetId || null,
+      ip: req?.ip,
+      userAgent: req?.get('user-agent'),
+      metadata,
+      expiresAt: new Date(Date.now() + config.AUDIT_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    };
+
+    if (before || after) {
+      entry.changes = diffChanges(toSnapshot(before), toSnapshot(after));
+    }
+
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error(`Failed to record audit entry "${action}":`, error.message);
+  }
+};
+
+/**
+ * Query the audit log
+ * @param {Object} filters - { actor, action, targetType, targetId, from, to, page, limit }
+ * @returns {Promise<Object>} - { logs, total }
+ */
+const queryAuditLogs = async ({ actor, action, targetType, targetId, from, to, page = 1, limit = 50 }) => {
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (action) filter.action = action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v'),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return { logs, total };
+};
+
+module.exports = {
+  hashIdentifier,
+  diffChanges,
+  recordAudit,
+  queryAuditLogs
+};
@@ -0,0 +1,151 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const SearchSuggestion = require('../models/SearchSuggestion');
+const { createError } = require('../utils/errorUtils');
+
+/**
+ * Soft delete a product: it is hidden everywhere but kept so past orders and
+ * the stock ledger still resolve, and it is removed from users' favorites
+ * @param {string} productId - Product ID
+ * @param {string} actor - User deleting the product
+ * @returns {Promise<Object>} - { product, favoritesRemoved }
+ */
+const softDeleteProduct = async (productId, actor) => {
+  const existing = await Product.findById(productId).select('deletedAt isActive');
+
+  if (!existing) {
+    throw createError(404, 'Product not found');
+  }
+  if (existing.deletedAt) {
+    throw createError(400, 'Product is already deleted');
+  }
+
+  // Setting isActive through findOneAndUpdate also drops the search suggestion and
+  // refreshes the category's suggestion weight; wasActive keeps products hidden
+  // before deletion hidden after a restore
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, deletedAt: null, isActive: existing.isActive },
+    { $set: { deletedAt: new Date(), deletedBy: actor, wasActive: existing.isActive, isActive: false } },
+    { new: true }
+  );
+
+  if (!product) {
+    throw createError(409, 'Product was changed by another request, please try again');
+  }
+
+  const result = await User.updateMany(
+    { favorites: product._id },
+    { $pull: { favorites: product._id } }
+  );
+
+  return { product, favoritesRemoved: result.modifiedCount };
+};
+
+/**
+ * Restore a soft-deleted product with the visibility it had before deletion.
+ * Favorites removed on deletion are not restored.
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} - Restored product
+ */
+const restoreProduct = async (productId) => {
+  const existing = await Product.findById(productId).select('deletedAt wasActive category');
+
+  if (!existing) {
+    throw createError(404, 'Product not found');
+  }
+  if (!existing.deletedAt) {
+    throw createError(400, 'Product is not deleted');
+  }
+
+  const category = await Category.findById(existing.category).select('deletedAt');
+  if (category?.deletedAt) {
+    throw createError(400, 'Restore the product category first');
+  }
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null, isActive: existing.wasActive ?? true, wasActive: null } },
+    { new: true }
+  );
+
+  if (!product) {
+    throw createError(409, 'Product was changed by another request, please try again');
+  }
+
+  return product;
+};
+
+/**
+ * Soft delete a category. Refused while products that are not deleted still use it,
+ * so no listed product ends up in a hidden category.
+ * @param {string} categoryId - Category ID
+ * @param {string} actor - User deleting the category
+ * @returns {Promise<Object>} - Deleted category
+ */
+const softDeleteCategory = async (categoryId, actor) => {
+  const productCount = await Product.countDocuments({ category: categoryId, deletedAt: null });
+  if (productCount > 0) {
+    throw createError(400, `Category still has ${productCount} product(s). Delete them or move them to another category first.`);
+  }
+
+  const existing = await Category.findById(categoryId).select('deletedAt isActive');
+
+  if (!existing) {
+    throw createError(404, 'Category not found');
+  }
+  if (existing.deletedAt) {
+    throw createError(400, 'Category is already deleted');
+  }
+
+  const category = await Category.findOneAndUpdate(
+    { _id: categoryId, deletedAt: null, isActive: existing.isActive },
+    { $set: { deletedAt: new Date(), deletedBy: actor, wasActive: existing.isActive, isActive: false } },
+    { new: true }
+  );
+
+  if (!category) {
+    throw createError(409, 'Category was changed by another request, please try again');
+  }
+
+  await SearchSuggestion.syncCategory(category);
+
+  return category;
+};
+
+/**
+ * Restore a soft-deleted category with the visibility it had before deletion
+ * @param {string} categoryId - Category ID
+ * @returns {Promise<Object>} - Restored category
+ */
+const restoreCategory = async (categoryId) => {
+  const existing = await Category.findById(categoryId).select('deletedAt wasActive');
+
+  if (!existing) {
+    throw createError(404, 'Category not found');
+  }
+  if (!existing.deletedAt) {
+    throw createError(400, 'Category is not deleted');
+  }
+
+  const category = await Category.findOneAndUpdate(
+    { _id: categoryId, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null, isActive: existing.wasActive ?? true, wasActive: null } },
+    { new: true }
+  );
+
+  if (!category) {
+    throw createError(409, 'Category was changed by another request, please try again');
+  }
+
+  await SearchSuggestion.syncCategory(category);
+
+  return category;
+};
+
+module.exports = {
+  softDeleteProduct,
+  restoreProduct,
+  softDeleteCategory,
+  restoreCategory
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const config = require('../config');
+const { sendMail } = require('./mail');
+const { hashToken } = require('../utils/jwtUtils');
+const { createError } = require('../utils/errorUtils');
+
+/**
+ * Create a verification token for the user's current email and mail the link.
+ * Earlier links for the user stop working.
+ * @param {Object} user - User document
+ * @param {Object} options - { enforceCooldown } to rate-limit user-initiated resends
+ */
+const sendVerificationEmail = async (user, { enforceCooldown = false } = {}) => {
+  if (user.isEmailVerified) {
+    throw createError(400, 'Email is already verified');
+  }
+
+  if (enforceCooldown) {
+    const latest = await EmailVerificationToken.findOne({ userId: user._id }).sort({ createdAt: -1 });
+    const nextAllowed = latest ? latest.createdAt.getTime() + config.EMAIL_VERIFICATION_RESEND_COOLDOWN_MS : 0;
+    if (nextAllowed > Date.now()) {
+      const waitSeconds = Math.ceil((nextAllowed - Date.now()) / 1000);
+      throw createError(429, `Please wait ${waitSeconds} seconds before requesting another verification email`);
+    }
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await EmailVerificationToken.deleteMany({ userId: user._id });
+  await EmailVerificationToken.create({
+    userId: user._id,
+    email: user.email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + config.EMAIL_VERIFICATION_EXPIRES_IN_MS)
+  });
+
+  const verifyUrl = `${config.EMAIL_VERIFICATION_URL}?token=${token}`;
+  const hours = Math.round(config.EMAIL_VERIFICATION_EXPIRES_IN_MS / 3600000);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email for Fresh Grocery Store',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. It expires in ${hours} hours.\n\n${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`
+  });
+};
+
+/**
+ * Send a verification email without failing the calling request (signup, profile update)
+ * @param {Object} user - User document
+ */
+const sendVerificationEmailSafely = async (user) => {
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+  }
+};
+
+/**
+ * Consume a verification token and mark the email as verified
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} - Updated user
+ */
+const confirmEmail = async (token) => {
+  const verification = await EmailVerificationToken.findOneAndDelete({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!verification) {
+    throw createError(400, 'Verification link is invalid or has expired');
+  }
+
+  // The link only verifies the address it was sent to
+  const user = await User.findOneAndUpdate(
+    { _id: verification.userId, email: verification.email },
+    { isEmailVerified: true, emailVerifiedAt: new Date() },
+    { new: true }
+  ).select('-password');
+
+  if (!user) {
+    throw createError(400, 'Verification link is invalid or has expired');
+  }
+
+  return user;
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendVerificationEmailSafely,
+  confirmEmail
+};
@@ -0,0 +1,104 @@
+const Product = require('../models/Product');
+const config = require('../config');
+
+/**
+ * Combine every facet filter except the ones excluded, so each facet counts
+ * the options the user could still switch to
+ * @param {Object} facetFilters - Facet conditions keyed by field
+ * @param {string} excluded - Field whose own condition is left out
+ * @returns {Object} - Match condition
+ */
+const exceptFilter = (facetFilters, excluded) => {
+  const rest = { ...facetFilters };
+  delete rest[excluded];
+  return rest;
+};
+
+/**
+ * Count products per facet option for the current listing in one aggregation.
+ * Each facet ignores its own filter, e.g. category counts respect the price
+ * filter but not the selected category.
+ * @param {Object} baseFilter - Conditions that always apply (active, search, flash sale)
+ * @param {Object} facetFilters - Selected facet conditions keyed by field
+ *   (category, store, isOrganic, inStock, price)
+ * @returns {Promise<Object>} - { categories, stores, organic, inStock, priceRanges }
+ */
+const getProductFacets = async (baseFilter, facetFilters) => {
+  // Aggregations do not cast ObjectId strings, so cast through a query first
+  const cast = (filter) => Product.where().cast(Product, { ...filter });
+
+  const boundaries = [...config.PRODUCT_PRICE_FACET_BOUNDARIES, Number.MAX_VALUE];
+
+  const [result] = await Product.aggregate([
+    { $match: cast(baseFilter) },
+    {
+      $facet: {
+        categories: [
+          { $match: cast(exceptFilter(facetFilters, 'category')) },
+          { $group: { _id: '$category', name: { $first: '$categoryName' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, name: 1 } }
+        ],
+        stores: [
+          { $match: cast(exceptFilter(facetFilters, 'store')) },
+          { $match: { store: { $ne: null } } },
+          { $group: { _id: '$store', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 20 },
+          { $lookup: { from: 'stores', localField: '_id', foreignField: '_id', as: 'store' } },
+          { $project: { count: 1, name: { $arrayElemAt: ['$store.name', 0] } } }
+        ],
+        organic: [
+          { $match: cast(exceptFilter(facetFilters, 'isOrganic')) },
+          { $group: { _id: '$isOrganic', count: { $sum: 1 } } }
+        ],
+        inStock: [
+          { $match: cast(exceptFilter(facetFilters, 'inStock')) },
+          { $group: { _id: '$inStock', count: { $sum: 1 } } }
+        ],
+        priceRanges: [
+          { $match: cast(exceptFilter(facetFilters, 'price')) },
+          // Prices below the first boundary go to 'other', which is not listed
+          { $bucket: { groupBy: '$price', boundaries, default: 'other', output: { count: { $sum: 1 } } } }
+        ]
+      }
+    }
+  ]);
+
+  const countOf = (groups, value) => groups.find(group => group._id === value)?.count || 0;
+
+  return {
+    categories: result.categories.map(({ _id, name, count }) => ({ id: _id, name, count })),
+    stores: result.stores.map(({ _id, name, count }) => ({ id: _id, name, count })),
+    organic: [
+      { value: true, count: countOf(result.organic, true) },
+      { value: false, count: countOf(result.organic, false) }
+    ],
+    inStock: [
+      { value: true, count: countOf(result.inStock, true) },
+      { value: false, count: countOf(result.inStock, false) }
+    ],
+    // Empty buckets are not returned by $bucket, so list every range
+    priceRanges: boundaries.slice(0, -1).map((min, i) => ({
+      min,
+      max: boundaries[i + 1] === Number.MAX_VALUE ? null : boundaries[i + 1],
+      count: countOf(result.priceRanges, min)
+    }))
+  };
+};
+
+/**
+ * Facets for a listing that matches nothing
+ * @returns {Object} - Facets with zero counts
+ */
+const emptyFacets = () => ({
+  categories: [],
+  stores: [],
+  organic: [{ value: true, count: 0 }, { value: false, count: 0 }],
+  inStock: [{ value: true, count: 0 }, { value: false, count: 0 }],
+  priceRanges: []
+});
+
+module.exports = {
+  getProductFacets,
+  emptyFacets
+};
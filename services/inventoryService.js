@@ -0,0 +1,449 @@
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const { checkLowStock } = require('./lowStockService');
+const { createError } = require('../utils/errorUtils');
+
+// Stock changes go through findOneAndUpdate so the product hooks keep sales-based
+// suggestion ranking in sync
+
+/**
+ * Build the conditional stock update for one product or variant. For products
+ * sold in variants both the variant and the product total change.
+ * @param {Object} target - { productId, variantId }
+ * @param {number} change - Signed quantity: negative takes stock out
+ * @param {boolean} isSale - Whether the change also counts towards totalSold
+ * @returns {Object} - { filter, update }
+ */
+const buildStockUpdate = ({ productId, variantId }, change, isSale) => {
+  const filter = { _id: productId };
+  const update = { $inc: { stockCount: change } };
+
+  if (isSale) {
+    update.$inc.totalSold = -change;
+  }
+
+  if (variantId) {
+    filter.variants = { $elemMatch: { _id: variantId } };
+    update.$inc['variants.$.stockCount'] = change;
+  }
+
+  // Only succeeds while enough stock is left, so concurrent changes cannot oversell
+  if (change < 0) {
+    if (variantId) {
+      filter.variants.$elemMatch.stockCount = { $gte: -change };
+    } else {
+      filter.stockCount = { $gte: -change };
+    }
+  }
+
+  return { filter, update };
+};
+
+/**
+ * Find the product variant an order item refers to, by variant ID, SKU or,
+ * for items ordered before variants existed, by its free-text label
+ * @param {Object} product - Product document
+ * @param {Object} item - { variantId, sku, variant }
+ * @returns {Object|undefined} - Matching variant
+ */
+const findVariant = (product, { variantId, sku, variant: label }) => {
+  if (variantId) {
+    return product.variants.id(variantId) || undefined;
+  }
+  if (sku) {
+    return product.variants.find(variant => variant.sku === String(sku).trim().toUpperCase());
+  }
+  if (label) {
+    return product.variants.find(variant => variant.label.toLowerCase() === String(label).trim().toLowerCase());
+  }
+  return undefined;
+};
+
+// Stock of the product, or of one of its variants, in a product document
+const stockOf = (product, variantId) => {
+  return variantId ? product.variants.id(variantId)?.stockCount : product.stockCount;
+};
+
+/**
+ * Append movements to the inventory ledger. Never throws: a missing entry shows
+ * up in the reconciliation report instead of failing the stock change.
+ * @param {Array<Object>} movements - InventoryMovement fields
+ */
+const recordMovements = async (movements) => {
+  if (movements.length === 0) return;
+
+  try {
+    await InventoryMovement.insertMany(movements);
+  } catch (error) {
+    console.error('Failed to record inventory movements:', error.message);
+  }
+};
+
+/**
+ * Set inStock from the current stock count
+ * @param {Array<string>} productIds - Products to update
+ */
+const syncInStock = async (productIds) => {
+  await Product.updateMany(
+    { _id: { $in: productIds } },
+    [{ $set: { inStock: { $gt: ['$stockCount', 0] } } }]
+  );
+};
+
+// Follow-up after stock changed: derived inStock flag and low-stock alerts
+const afterStockChange = async (productIds) => {
+  await syncInStock(productIds);
+  await checkLowStock(productIds);
+};
+
+/**
+ * Put stock of order items back, e.g. when an order is cancelled. Items without a
+ * variant on a product that now has variants go back to the variant matching
+ * their SKU or label; if none matches, their stock is left for a manual restock.
+ * @param {Array<Object>} items - Order items { productId, variantId, sku, name, variant, quantity }
+ * @param {Object} context - { order, actor, reason } recorded in the ledger
+ */
+const releaseStock = async (items, { order = null, actor = null, reason } = {}) => {
+  const movements = [];
+
+  for (const original of items) {
+    let item = original;
+
+    // Items ordered before the product had variants go back to the matching variant,
+    // so the product total stays the sum of its variants
+    if (!item.variantId) {
+      const current = await Product.findById(item.productId).select('variants');
+      if (current?.variants.length > 0) {
+        const variant = findVariant(current, item);
+        if (!variant) {
+          console.warn(`Stock of ${item.name} was not returned: the product now has variants and none matches "${item.variant}"`);
+          continue;
+        }
+        item = { productId: item.productId, variantId: variant._id, sku: variant.sku, quantity: item.quantity };
+      }
+    }
+
+    const { filter, update } = buildStockUpdate(item, item.quantity, true);
+    const product = await Product.findOneAndUpdate(filter, update, { new: true });
+
+    if (product) {
+      movements.push({
+        product: item.productId,
+        variantId: item.variantId || null,
+        sku: item.sku,
+        type: 'cancel_restore',
+        quantity: item.quantity,
+        stockAfter: stockOf(product, item.variantId),
+        reason,
+        actor,
+        order
+      });
+    }
+  }
+
+  await afterStockChange(items.map(item => item.productId));
+  await recordMovements(movements);
+};
+
+/**
+ * Take stock for order items, all or nothing. Each item is reserved with a
+ * conditional update; if one cannot be reserved the earlier ones are put back.
+ * @param {Array<Object>} items - Order items { productId, variantId, sku, name, variant, quantity }
+ * @param {Object} context - { order, actor } recorded in the ledger
+ * @throws {Error} - 400 naming the first item without enough stock
+ */
+const reserveStock = async (items, { order = null, actor = null } = {}) => {
+  const movements = [];
+
+  for (const item of items) {
+    const { filter, update } = buildStockUpdate(item, -item.quantity, true);
+    filter.isActive = true;
+    const product = await Product.findOneAndUpdate(filter, update, { new: true });
+
+    if (!product) {
+      // Undo the partial reservation; nothing was sold, so nothing goes in the ledger
+      for (const reserved of items.slice(0, movements.length)) {
+        const rollback = buildStockUpdate(reserved, reserved.quantity, true);
+        await Product.findOneAndUpdate(rollback.filter, rollback.update);
+      }
+      throw createError(400, `Insufficient stock for ${item.name}${item.variant ? ` (${item.variant})` : ''}`);
+    }
+
+    movements.push({
+      product: item.productId,
+      variantId: item.variantId || null,
+      sku: item.sku,
+      type: 'sale',
+      quantity: -item.quantity,
+      stockAfter: stockOf(product, item.variantId),
+      actor,
+      order
+    });
+  }
+
+  await afterStockChange(items.map(item => item.productId));
+  await recordMovements(movements);
+};
+
+/**
+ * Change the stock of a product or variant outside of orders
+ * @param {Object} product - Product document
+ * @param {Object} change - { variantId, type, quantity, reason, actor }; restock
+ *   quantities are added, write-off quantities removed and adjustments are signed
+ * @returns {Promise<Object>} - Recorded movement
+ */
+const adjustStock = async (product, { variantId, type, quantity, reason, actor = null }) => {
+  const amount = Number(quantity);
+  const variant = variantId ? product.variants.id(variantId) : null;
+
+  if (product.variants.length > 0 && !variant) {
+    throw createError(400, 'Please select a valid variant of this product');
+  }
+  if (!Number.isInteger(amount) || amount === 0 || (type !== 'adjustment' && amount < 0)) {
+    throw createError(400, type === 'adjustment'
+      ? 'Quantity must be a non-zero whole number'
+      : 'Quantity must be a positive whole number');
+  }
+
+  const change = type === 'write_off' ? -amount : amount;
+  const { filter, update } = buildStockUpdate({ productId: product._id, variantId: variant?._id }, change, false);
+  const updated = await Product.findOneAndUpdate(filter, update, { new: true });
+
+  if (!updated) {
+    throw createError(400, `Insufficient stock. Available: ${variant ? variant.stockCount : product.stockCount}`);
+  }
+
+  await afterStockChange([product._id]);
+
+  const movement = {
+    product: product._id,
+    variantId: variant?._id || null,
+    sku: variant?.sku,
+    type,
+    quantity: change,
+    stockAfter: stockOf(updated, variant?._id),
+    reason,
+    actor
+  };
+  await recordMovements([movement]);
+
+  return movement;
+};
+
+/**
+ * Filter matching a product only while its stock is still as it was read, so an
+ * edit computed from that read cannot overwrite concurrent stock changes
+ * @param {Object} product - Product as read before the edit
+ * @returns {Object} - Filter conditions on the stock fields
+ */
+const unchangedStockFilter = (product) => {
+  const filter = { stockCount: product.stockCount };
+  if (product.variants.length > 0) {
+    filter.$and = product.variants.map(variant => ({
+      variants: { $elemMatch: { _id: variant._id, stockCount: variant.stockCount } }
+    }));
+  }
+  return filter;
+};
+
+/**
+ * Keep the current stock of edited variants: stock only changes through stock
+ * movements. Variants added by the edit start with the stock they were sent with.
+ * @param {Array<Object>} variants - Submitted variants, with IDs of existing variants
+ * @param {Array<Object>} existingVariants - Current variants of the product
+ * @returns {Array<Object>|*} - Variants with stock (other input is returned as is)
+ */
+const keepVariantStock = (variants, existingVariants = []) => {
+  if (!Array.isArray(variants)) return variants;
+
+  return variants.map(variant => {
+    const current = variant?._id && existingVariants.find(v => String(v._id) === String(variant._id));
+    return current ? { ...variant, stockCount: current.stockCount } : variant;
+  });
+};
+
+/**
+ * Record the stock differences made by editing a product directly
+ * @param {Object|null} before - Product before the edit (null for new products)
+ * @param {Object} after - Product after the edit
+ * @param {Object} context - { actor, reason }
+ */
+const recordProductStockEdit = async (before, after, { actor = null, reason } = {}) => {
+  const type = before ? 'adjustment' : 'initial';
+  const movements = [];
+  const addMovement = (variant, previous, current) => {
+    if (current !== previous) {
+      movements.push({
+        product: after._id,
+        variantId: variant?._id || null,
+        sku: variant?.sku,
+        type,
+        quantity: current - previous,
+        stockAfter: current,
+        reason,
+        actor
+      });
+    }
+  };
+
+  if (after.variants.length > 0) {
+    // Stock held by the product itself before it was split into variants
+    if (before && before.variants.length === 0) {
+      addMovement(null, before.stockCount || 0, 0);
+    }
+    for (const variant of after.variants) {
+      const previous = before?.variants.id(variant._id);
+      addMovement(variant, previous?.stockCount || 0, variant.stockCount || 0);
+    }
+    // Variants that were removed take their stock with them
+    for (const variant of before?.variants || []) {
+      if (!after.variants.id(variant._id)) {
+        addMovement(variant, variant.stockCount || 0, 0);
+      }
+    }
+  } else {
+    const hadVariants = before?.variants.length > 0;
+    for (const variant of hadVariants ? before.variants : []) {
+      addMovement(variant, variant.stockCount || 0, 0);
+    }
+    addMovement(null, hadVariants ? 0 : before?.stockCount || 0, after.stockCount || 0);
+  }
+
+  await recordMovements(movements);
+};
+
+/**
+ * Get the stock movements of a product, newest first
+ * @param {string} productId - Product ID
+ * @param {Object} options - { type, variantId, skip, limit }
+ * @returns {Promise<Object>} - { movements, total }
+ */
+const getStockMovements = async (productId, { type, variantId, skip = 0, limit = 20 } = {}) => {
+  const filter = { product: productId };
+  if (type) filter.type = type;
+  if (variantId) filter.variantId = variantId;
+
+  const [movements, total] = await Promise.all([
+    InventoryMovement.find(filter)
+      .populate('actor', 'name role')
+      .populate('order', 'orderNumber status')
+      .select('-__v')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit),
+    InventoryMovement.countDocuments(filter)
+  ]);
+
+  return { movements, total };
+};
+
+/**
+ * Record an opening `initial` movement for stock that predates the ledger: each
+ * product or variant with stock but no movements gets one for its current stock.
+ * Safe to run repeatedly.
+ * @returns {Promise<number>} - Number of movements recorded
+ */
+const backfillOpeningStock = async () => {
+  const tracked = await InventoryMovement.aggregate([
+    { $group: { _id: { product: '$product', variantId: '$variantId' } } }
+  ]);
+  const trackedKeys = new Set(tracked.map(entry => `${entry._id.product}:${entry._id.variantId || ''}`));
+  const movements = [];
+
+  const cursor = Product.find().select('stockCount variants._id variants.sku variants.stockCount').lean().cursor();
+  for await (const product of cursor) {
+    const targets = product.variants?.length > 0 ? product.variants : [null];
+    for (const variant of targets) {
+      const stockCount = (variant || product).stockCount || 0;
+      if (stockCount !== 0 && !trackedKeys.has(`${product._id}:${variant?._id || ''}`)) {
+        movements.push({
+          product: product._id,
+          variantId: variant?._id || null,
+          sku: variant?.sku,
+          type: 'initial',
+          quantity: stockCount,
+          stockAfter: stockCount,
+          reason: 'Opening balance'
+        });
+      }
+    }
+  }
+
+  if (movements.length > 0) {
+    await InventoryMovement.insertMany(movements);
+  }
+  return movements.length;
+};
+
+/**
+ * Compare the ledger total of every product and variant with its stock count
+ * @param {Object} options - { mismatchedOnly }
+ * @returns {Promise<Object>} - { checked, mismatched, items }
+ */
+const getStockReconciliation = async ({ mismatchedOnly = true } = {}) => {
+  const totals = await InventoryMovement.aggregate([
+    {
+      $group: {
+        _id: { product: '$product', variantId: '$variantId' },
+        total: { $sum: '$quantity' },
+        movements: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const ledger = new Map(totals.map(entry => [
+    `${entry._id.product}:${entry._id.variantId || ''}`,
+    entry
+  ]));
+
+  const items = [];
+  let checked = 0;
+  let mismatched = 0;
+
+  const compare = (product, variant) => {
+    const entry = ledger.get(`${product._id}:${variant?._id || ''}`);
+    const stockCount = (variant || product).stockCount || 0;
+    const ledgerTotal = entry?.total || 0;
+    const difference = stockCount - ledgerTotal;
+
+    checked++;
+    if (difference !== 0) mismatched++;
+    if (difference !== 0 || !mismatchedOnly) {
+      items.push({
+        product: product._id,
+        name: product.name,
+        variantId: variant?._id || null,
+        sku: variant?.sku,
+        stockCount,
+        ledgerTotal,
+        difference,
+        movements: entry?.movements || 0
+      });
+    }
+  };
+
+  const cursor = Product.find().select('name stockCount variants._id variants.sku variants.stockCount').lean().cursor();
+  for await (const product of cursor) {
+    if (product.variants?.length > 0) {
+      product.variants.forEach(variant => compare(product, variant));
+    } else {
+      compare(product, null);
+    }
+  }
+
+  return { checked, mismatched, items };
+};
+
+module.exports = {
+  findVariant,
+  reserveStock,
+  releaseStock,
+  adjustStock,
+  unchangedStockFilter,
+  keepVariantStock,
+  recordProductStockEdit,
+  getStockMovements,
+  getStockReconciliation,
+  backfillOpeningStock,
+  syncInStock
+};
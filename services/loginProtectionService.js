@@ -0,0 +1,150 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const LockoutEvent = require('../models/LockoutEvent');
+const Notification = require('../models/Notification');
+const config = require('../config');
+
+const phoneKey = (phone) => `phone:${phone}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Delay required after the given number of consecutive failures
+ * @param {number} failures - Consecutive failures
+ * @returns {number} - Delay in milliseconds
+ */
+const getDelayMs = (failures) => {
+  if (failures <= 0) return 0;
+  return Math.min(config.LOGIN_DELAY_BASE_MS * 2 ** (failures - 1), config.LOGIN_DELAY_MAX_MS);
+};
+
+/**
+ * Check whether a login attempt may proceed for a phone number and IP
+ * @param {string} phone - Phone number being logged into
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object>} - { allowed, locked, retryAfterMs }
+ */
+const checkLoginAllowed = async (phone, ip) => {
+  const now = Date.now();
+  const throttles = await LoginThrottle.find({ key: { $in: [phoneKey(phone), ipKey(ip)] } });
+
+  let locked = false;
+  let retryAfterMs = 0;
+
+  for (const throttle of throttles) {
+    if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+      locked = true;
+      retryAfterMs = Math.max(retryAfterMs, throttle.lockedUntil.getTime() - now);
+    } else if (throttle.type === 'phone' && throttle.lastFailureAt) {
+      // Progressive delay applies per account only, so shared IPs are not slowed down
+      const wait = throttle.lastFailureAt.getTime() + getDelayMs(throttle.failures) - now;
+      retryAfterMs = Math.max(retryAfterMs, wait);
+    }
+  }
+
+  return { allowed: retryAfterMs <= 0, locked, retryAfterMs: Math.max(retryAfterMs, 0) };
+};
+
+/**
+ * Count a failure for one throttle key, restarting the count once the window has passed
+ * @param {string} key - Throttle key
+ * @param {string} type - 'phone' or 'ip'
+ * @returns {Promise<Object>} - Updated throttle document
+ */
+const incrementFailures = async (key, type) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - config.LOGIN_FAILURE_WINDOW_MS);
+
+  return LoginThrottle.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        key,
+        type,
+        failures: {
+          $cond: [
+            { $gt: ['$lastFailureAt', windowStart] },
+            { $add: [{ $ifNull: ['$failures', 0] }, 1] },
+            1
+          ]
+        },
+        lastFailureAt: now,
+        expiresAt: {
+          $max: [
+            new Date(now.getTime() + config.LOGIN_FAILURE_WINDOW_MS),
+            { $ifNull: ['$lockedUntil', now] }
+          ]
+        }
+      }
+    }],
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Lock a throttle key, record the lockout and tell the account owner
+ * @param {Object} throttle - Throttle document that reached its limit
+ * @param {string} identifier - Phone number or IP
+ * @param {Object} req - Express request
+ * @param {Object} user - Account owner (phone lockouts only)
+ */
+const lock = async (throttle, identifier, req, user) => {
+  const lockedUntil = new Date(Date.now() + config.LOGIN_LOCKOUT_MS);
+
+  await LoginThrottle.updateOne(
+    { _id: throttle._id },
+    { $set: { lockedUntil, failures: 0, expiresAt: new Date(lockedUntil.getTime() + config.LOGIN_FAILURE_WINDOW_MS) } }
+  );
+
+  await LockoutEvent.create({
+    type: throttle.type,
+    identifier,
+    userId: user ? user._id : null,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    failures: throttle.failures,
+    lockedUntil
+  });
+
+  if (user) {
+    const minutes = Math.round(config.LOGIN_LOCKOUT_MS / 60000);
+    await Notification.create({
+      userId: user._id,
+      type: 'security',
+      title: 'Account temporarily locked',
+      message: `We locked your account for ${minutes} minutes after ${throttle.failures} failed login attempts. It unlocks automatically at ${lockedUntil.toISOString()}, or right away if you reset your password.`,
+      priority: 'high',
+      data: { lockedUntil, ip: req.ip }
+    });
+  }
+};
+
+/**
+ * Record a failed password login for the phone number and the client IP
+ * @param {string} phone - Phone number being logged into
+ * @param {Object} req - Express request
+ * @param {Object} user - Matching user, if any
+ */
+const recordLoginFailure = async (phone, req, user) => {
+  const phoneThrottle = await incrementFailures(phoneKey(phone), 'phone');
+  if (phoneThrottle.failures >= config.LOGIN_MAX_FAILURES) {
+    await lock(phoneThrottle, phone, req, user);
+  }
+
+  const ipThrottle = await incrementFailures(ipKey(req.ip), 'ip');
+  if (ipThrottle.failures >= config.LOGIN_MAX_FAILURES_PER_IP) {
+    await lock(ipThrottle, req.ip, req, null);
+  }
+};
+
+/**
+ * Clear failure tracking and any lockout for a phone number
+ * @param {string} phone - Phone number
+ */
+const clearLoginFailures = async (phone) => {
+  await LoginThrottle.deleteOne({ key: phoneKey(phone) });
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+};
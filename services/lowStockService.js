@@ -0,0 +1,163 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const InventoryMovement = require('../models/InventoryMovement');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reorder threshold of a product, falling back to the configured default
+const thresholdExpr = () => ({ $ifNull: ['$reorderThreshold', config.LOW_STOCK_DEFAULT_THRESHOLD] });
+
+/**
+ * Notify every active admin and staff user about a product running low
+ * @param {Object} product - Product with name, stockCount and reorderThreshold
+ */
+const notifyLowStock = async (product) => {
+  const recipients = await User.find({
+    role: { $in: ['admin', 'staff'] },
+    isActive: true,
+    deletedAt: null
+  }).select('_id').lean();
+
+  if (recipients.length === 0) return;
+
+  const threshold = product.reorderThreshold ?? config.LOW_STOCK_DEFAULT_THRESHOLD;
+  const outOfStock = product.stockCount <= 0;
+
+  await Notification.insertMany(recipients.map(user => ({
+    userId: user._id,
+    type: 'warning',
+    title: outOfStock ? 'Product out of stock' : 'Product low on stock',
+    message: outOfStock
+      ? `${product.name} is out of stock. Reorder threshold: ${threshold}.`
+      : `${product.name} has ${product.stockCount} left in stock. Reorder threshold: ${threshold}.`,
+    priority: outOfStock ? 'urgent' : 'high',
+    data: { productId: product._id, stockCount: product.stockCount, reorderThreshold: threshold }
+  })));
+};
+
+/**
+ * Alert admin/staff about products that fell to or below their reorder
+ * threshold, once per shortage: the alert is re-armed when stock is replenished
+ * above the threshold. Never throws so stock changes are not failed by alerts.
+ * @param {Array<string>} productIds - Products whose stock changed
+ */
+const checkLowStock = async (productIds) => {
+  const ids = [...new Set(productIds.map(String))];
+
+  try {
+    await Product.updateMany(
+      { _id: { $in: ids }, lowStockAlertedAt: { $ne: null }, $expr: { $gt: ['$stockCount', thresholdExpr()] } },
+      { $set: { lowStockAlertedAt: null } }
+    );
+
+    for (const id of ids) {
+      // Claiming the alert first makes concurrent stock changes send it only once
+      const product = await Product.findOneAndUpdate(
+        { _id: id, isActive: true, lowStockAlertedAt: null, $expr: { $lte: ['$stockCount', thresholdExpr()] } },
+        { $set: { lowStockAlertedAt: new Date() } },
+        { new: true }
+      ).select('name stockCount reorderThreshold');
+
+      if (product) {
+        await notifyLowStock(product);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to check low stock:', error.message);
+  }
+};
+
+/**
+ * List active products near, at or below their reorder threshold, lowest
+ * stock first, with their sales velocity
+ * @param {Object} options - { status, skip, limit }; status is out_of_stock, low or near
+ * @returns {Promise<Object>} - { products, total }
+ */
+const getLowStockProducts = async ({ status, skip = 0, limit = 20 } = {}) => {
+  const [result] = await Product.aggregate([
+    { $match: { isActive: true } },
+    { $addFields: { threshold: thresholdExpr() } },
+    { $match: { $expr: { $lte: ['$stockCount', { $multiply: ['$threshold', config.LOW_STOCK_NEAR_RATIO] }] } } },
+    {
+      $addFields: {
+        stockStatus: {
+          $switch: {
+            branches: [
+              { case: { $lte: ['$stockCount', 0] }, then: 'out_of_stock' },
+              { case: { $lte: ['$stockCount', '$threshold'] }, then: 'low' }
+            ],
+            default: 'near'
+          }
+        }
+      }
+    },
+    ...(status ? [{ $match: { stockStatus: status } }] : []),
+    {
+      $facet: {
+        products: [
+          { $sort: { stockCount: 1, totalSold: -1, name: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $project: {
+              name: 1,
+              store: 1,
+              categoryName: 1,
+              unit: 1,
+              stockCount: 1,
+              reorderThreshold: '$threshold',
+              stockStatus: 1,
+              totalSold: 1,
+              lowStockAlertedAt: 1,
+              createdAt: 1,
+              variants: { sku: 1, label: 1, stockCount: 1 }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const products = result.products;
+  const since = new Date(Date.now() - config.LOW_STOCK_VELOCITY_DAYS * DAY_MS);
+
+  // Net units sold in the velocity window, from the inventory ledger
+  const recentSales = await InventoryMovement.aggregate([
+    {
+      $match: {
+        product: { $in: products.map(product => product._id) },
+        type: { $in: ['sale', 'cancel_restore'] },
+        createdAt: { $gte: since }
+      }
+    },
+    { $group: { _id: '$product', sold: { $sum: { $multiply: ['$quantity', -1] } } } }
+  ]);
+  const soldById = new Map(recentSales.map(entry => [String(entry._id), entry.sold]));
+
+  const now = Date.now();
+  products.forEach(product => {
+    const daysListed = Math.max((now - new Date(product.createdAt).getTime()) / DAY_MS, 1);
+    const recentDays = Math.min(daysListed, config.LOW_STOCK_VELOCITY_DAYS);
+    const recentSold = Math.max(soldById.get(String(product._id)) || 0, 0);
+    const dailySales = recentSold / recentDays;
+
+    product.salesVelocity = {
+      totalSold: product.totalSold,
+      averageDailySales: Math.round((product.totalSold / daysListed) * 100) / 100,
+      recentDays: Math.ceil(recentDays),
+      recentSold,
+      recentDailySales: Math.round(dailySales * 100) / 100,
+      daysOfStockLeft: dailySales > 0 ? Math.floor(product.stockCount / dailySales) : null
+    };
+  });
+
+  return { products, total: result.total[0]?.count || 0 };
+};
+
+module.exports = {
+  checkLowStock,
+  getLowStockProducts
+};
@@ -0,0 +1,18 @@
+/**
+ * Mail transport that prints messages to the console (local development)
+ */
+const consoleTransport = {
+  name: 'console',
+
+  /**
+   * Send an email
+   * @param {Object} mail - { from, to, subject, text }
+   * @returns {Promise<Object>} - Delivery result
+   */
+  send: async ({ from, to, subject, text }) => {
+    console.log(`[MAIL] from ${from} to ${to}: ${subject}\n${text}`);
+    return { transport: 'console', to };
+  }
+};
+
+module.exports = consoleTransport;
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+/**
+ * Mail transport that appends messages to a JSON-lines file (local development)
+ */
+const fileTransport = {
+  name: 'file',
+
+  /**
+   * Send an email
+   * @param {Object} mail - { from, to, subject, text }
+   * @returns {Promise<Object>} - Delivery result
+   */
+  send: async ({ from, to, subject, text }) => {
+    const logFile = path.resolve(__dirname, '..', '..', config.MAIL_LOG_FILE);
+    await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+    await fs.promises.appendFile(
+      logFile,
+      JSON.stringify({ from, to, subject, text, sentAt: new Date().toISOString() }) + '\n'
+    );
+    return { transport: 'file', to };
+  }
+};
+
+module.exports = fileTransport;
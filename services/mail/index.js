@@ -0,0 +1,48 @@
+const config = require('../../config');
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+
+// Available transports, keyed by the value of MAIL_TRANSPORT
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+/**
+ * Register a mail transport (e.g. an SMTP or API integration)
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Object} transport - Object exposing async send({ from, to, subject, text })
+ */
+const registerMailTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Get the configured mail transport
+ * @returns {Object} - Mail transport
+ */
+const getMailTransport = () => {
+  const transport = transports[config.MAIL_TRANSPORT];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${config.MAIL_TRANSPORT}"`);
+  }
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} mail - { to, subject, text }
+ * @returns {Promise<Object>} - Delivery result
+ */
+const sendMail = async ({ to, subject, text }) => {
+  return getMailTransport().send({ from: config.MAIL_FROM, to, subject, text });
+};
+
+module.exports = {
+  registerMailTransport,
+  getMailTransport,
+  sendMail
+};
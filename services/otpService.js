@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const config = require('../config');
+const { sendSms, assertSmsAvailable } = require('./sms');
+const { createError } = require('../utils/errorUtils');
+
+/**
+ * Hash an OTP code bound to its phone number and purpose
+ * @param {string} phone - Phone number
+ * @param {string} purpose - OTP purpose
+ * @param {string} code - Plain OTP code
+ * @returns {string} - HMAC-SHA256 hex digest
+ */
+const hashOtp = (phone, purpose, code) => {
+  return crypto
+    .createHmac('sha256', config.JWT_SECRET)
+    .update(`${phone}:${purpose}:${code}`)
+    .digest('hex');
+};
+
+/**
+ * Generate a numeric OTP code
+ * @returns {string} - Zero-padded code of OTP_LENGTH digits
+ */
+const generateOtpCode = () => {
+  return String(crypto.randomInt(0, 10 ** config.OTP_LENGTH)).padStart(config.OTP_LENGTH, '0');
+};
+
+/**
+ * Create a new OTP for a phone number and send it by SMS.
+ * Replaces any pending code for the same phone and purpose.
+ * Throws 503 while no usable SMS provider is registered.
+ * @param {string} phone - Phone number
+ * @param {string} purpose - OTP purpose
+ * @returns {Promise<Object>} - { expiresAt, resendAfter }
+ */
+const requestOtp = async (phone, purpose = 'login') => {
+  // Fail before a code is stored or the resend cooldown starts
+  assertSmsAvailable();
+
+  const now = Date.now();
+  const existing = await Otp.findOne({ phone, purpose });
+
+  if (existing && existing.lastSentAt.getTime() + config.OTP_RESEND_COOLDOWN_MS > now) {
+    const waitSeconds = Math.ceil((existing.lastSentAt.getTime() + config.OTP_RESEND_COOLDOWN_MS - now) / 1000);
+    throw createError(429, `Please wait ${waitSeconds} seconds before requesting a new code`);
+  }
+
+  const code = generateOtpCode();
+  const expiresAt = new Date(now + config.OTP_EXPIRES_IN_MS);
+
+  await Otp.findOneAndUpdate(
+    { phone, purpose },
+    {
+      $set: {
+        codeHash: hashOtp(phone, purpose, code),
+        attempts: 0,
+        lastSentAt: new Date(now),
+        expiresAt
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const minutes = Math.round(config.OTP_EXPIRES_IN_MS / 60000);
+  await sendSms(phone, `${code} is your Fresh Grocery Store verification code. It expires in ${minutes} minutes. Do not share it with anyone.`);
+
+  return {
+    expiresAt,
+    resendAfter: new Date(now + config.OTP_RESEND_COOLDOWN_MS)
+  };
+};
+
+/**
+ * Verify and consume an OTP
+ * @param {string} phone - Phone number
+ * @param {string} code - Code entered by the user
+ * @param {string} purpose - OTP purpose
+ * @param {Object} options - { consume }: false checks the code but keeps it for a retry
+ * @returns {Promise<boolean>} - Resolves true, throws on failure
+ */
+const verifyOtp = async (phone, code, purpose = 'login', { consume = true } = {}) => {
+  // Count the attempt atomically before comparing so parallel guesses share the limit
+  const otp = await Otp.findOneAndUpdate(
+    {
+      phone,
+      purpose,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: config.OTP_MAX_ATTEMPTS }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).select('+codeHash');
+
+  if (!otp) {
+    const pending = await Otp.findOne({ phone, purpose });
+    if (pending && pending.expiresAt > new Date()) {
+      throw createError(429, 'Too many incorrect attempts. Please request a new code.');
+    }
+    throw createError(400, 'OTP has expired or was not requested. Please request a new code.');
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashOtp(phone, purpose, String(code)), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const remaining = config.OTP_MAX_ATTEMPTS - otp.attempts;
+    throw createError(400, remaining > 0
+      ? `Invalid OTP. ${remaining} attempt(s) remaining.`
+      : 'Invalid OTP. Please request a new code.');
+  }
+
+  if (consume) {
+    await Otp.deleteOne({ _id: otp._id });
+  }
+  return true;
+};
+
+module.exports = {
+  requestOtp,
+  verifyOtp
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const PasswordResetRequest = require('../models/PasswordResetRequest');
+const config = require('../config');
+const { sendMail } = require('./mail');
+const { sendSms } = require('./sms');
+const { revokeAllUserTokens } = require('./tokenService');
+const { clearLoginFailures } = require('./loginProtectionService');
+const { hashToken } = require('../utils/jwtUtils');
+const { validatePasswordPolicy } = require('../utils/passwordUtils');
+const { createError } = require('../utils/errorUtils');
+
+// Delivery channels for reset links, keyed by channel name
+const resetSenders = {
+  email: async (user, resetUrl, minutes) => {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Fresh Grocery Store password',
+      text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in ${minutes} minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not request a password reset, you can ignore this email.`
+    });
+  },
+  sms: async (user, resetUrl, minutes) => {
+    await sendSms(user.phone, `Reset your Fresh Grocery Store password within ${minutes} minutes: ${resetUrl}`);
+  }
+};
+
+/**
+ * Start the resend cooldown (OTP_RESEND_COOLDOWN_MS) for an email or phone number.
+ * It applies whether or not an account exists, so a 429 reveals nothing either.
+ * @param {string} identifier - e.g. email:john@example.com or phone:9876543210
+ */
+const claimResetCooldown = async (identifier) => {
+  const now = Date.now();
+  const identifierHash = hashToken(identifier);
+
+  try {
+    // Matches nothing during the cooldown, so the upsert hits the unique index
+    await PasswordResetRequest.findOneAndUpdate(
+      { identifierHash, lastRequestedAt: { $lte: new Date(now - config.OTP_RESEND_COOLDOWN_MS) } },
+      { $set: { lastRequestedAt: new Date(now), expiresAt: new Date(now + config.OTP_RESEND_COOLDOWN_MS) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const pending = await PasswordResetRequest.findOne({ identifierHash });
+    const waitMs = pending ? pending.lastRequestedAt.getTime() + config.OTP_RESEND_COOLDOWN_MS - now : 0;
+    const waitSeconds = Math.max(Math.ceil(waitMs / 1000), 1);
+    throw createError(429, `Please wait ${waitSeconds} seconds before requesting a new reset link`);
+  }
+};
+
+/**
+ * Store a single-use reset token and send the link to the user
+ * @param {Object} user - User document
+ * @param {string} deliveryChannel - 'email' or 'sms'
+ * @param {string} ip - Requesting IP address
+ */
+const issueResetToken = async (user, deliveryChannel, ip) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Only the most recent reset link stays valid
+  await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+  await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    channel: deliveryChannel,
+    requestedByIp: ip,
+    expiresAt: new Date(Date.now() + config.PASSWORD_RESET_EXPIRES_IN_MS)
+  });
+
+  const resetUrl = `${config.PASSWORD_RESET_URL}?token=${token}`;
+  const minutes = Math.round(config.PASSWORD_RESET_EXPIRES_IN_MS / 60000);
+  await resetSenders[deliveryChannel](user, resetUrl, minutes);
+};
+
+/**
+ * Create a single-use reset token and send it to the user.
+ * Resolves the same way whether or not an active account matches so callers cannot
+ * probe for accounts: the token is stored and sent after the caller has responded,
+ * so neither the response time nor a delivery failure depends on the account.
+ * @param {Object} identity - { email } or { phone }
+ * @param {string} channel - 'email' or 'sms' (defaults to the identifier used)
+ * @param {Object} req - Express request
+ */
+const requestPasswordReset = async ({ email, phone }, channel, req) => {
+  await claimResetCooldown(email ? `email:${email}` : `phone:${phone}`);
+
+  const user = await User.findOne(email ? { email } : { phone });
+  if (!user || !user.isActive) return;
+
+  const deliveryChannel = channel || (email ? 'email' : 'sms');
+  issueResetToken(user, deliveryChannel, req.ip).catch((error) => {
+    console.error('Error sending password reset link:', error);
+  });
+};
+
+/**
+ * Consume a reset token and set a new password.
+ * The password policy is checked before the token is used up.
+ * Signs the user out everywhere and records a security notification.
+ * @param {string} token - Reset token from the link
+ * @param {string} newPassword - New password
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Updated user
+ */
+const resetPassword = async (token, newPassword, req) => {
+  const now = new Date();
+  const tokenFilter = { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } };
+
+  const pendingToken = await PasswordResetToken.findOne(tokenFilter);
+  if (!pendingToken) {
+    throw createError(400, 'Password reset link is invalid or has expired');
+  }
+
+  const user = await User.findById(pendingToken.userId).select('+password +passwordHistory');
+  if (!user || !user.isActive) {
+    throw createError(400, 'Password reset link is invalid or has expired');
+  }
+
+  const passwordValidation = await validatePasswordPolicy(newPassword, user);
+  if (!passwordValidation.isValid) {
+    throw createError(400, 'New password validation failed', passwordValidation.errors);
+  }
+
+  // Claim the token atomically so it cannot be used twice
+  const resetToken = await PasswordResetToken.findOneAndUpdate(
+    { _id: pendingToken._id, ...tokenFilter },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+
+  if (!resetToken) {
+    throw createError(400, 'Password reset link is invalid or has expired');
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  await revokeAllUserTokens(user._id, 'password_reset');
+  await clearLoginFailures(user.phone);
+
+  await Notification.create({
+    userId: user._id,
+    type: 'security',
+    title: 'Your password was reset',
+    message: 'Your password was reset and all devices were signed out. If this was not you, contact support immediately.',
+    priority: 'high',
+    data: { channel: resetToken.channel, ip: req.ip }
+  });
+
+  return user;
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
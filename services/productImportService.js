@@ -0,0 +1,499 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Store = require('../models/Store');
+const ImportJob = require('../models/ImportJob');
+const config = require('../config');
+const {
+  adjustStock,
+  unchangedStockFilter,
+  keepVariantStock,
+  recordProductStockEdit
+} = require('./inventoryService');
+const { checkLowStock } = require('./lowStockService');
+const { createError } = require('../utils/errorUtils');
+const { parseCsv, toCsv } = require('../utils/csvUtils');
+const { escapeRegex } = require('../utils/searchUtils');
+
+// Columns of the import and export format, in export order
+const PRODUCT_COLUMNS = [
+  'sku',
+  'name',
+  'category',
+  'store',
+  'price',
+  'originalPrice',
+  'unit',
+  'stockCount',
+  'reorderThreshold',
+  'isOrganic',
+  'isFlashSale',
+  'isActive',
+  'freshness',
+  'description',
+  'tags',
+  'images',
+  'variants'
+];
+
+const NUMBER_COLUMNS = ['price', 'originalPrice', 'stockCount', 'reorderThreshold'];
+const BOOLEAN_COLUMNS = ['isOrganic', 'isFlashSale', 'isActive'];
+const LIST_COLUMNS = ['tags', 'images'];
+
+// CSV cells hold lists separated by "|"
+const LIST_SEPARATOR = '|';
+
+// Job progress is saved every this many rows
+const PROGRESS_INTERVAL = 25;
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const isImageUrl = (value) => /^https?:\/\/\S+$/i.test(value) || /^\/uploads\/\S+$/.test(value);
+
+/**
+ * Parse an uploaded import file into rows
+ * @param {string|Array<Object>} content - File content (or already parsed JSON rows)
+ * @param {string} format - csv or json
+ * @returns {Array<Object>} - Rows keyed by column name
+ */
+const parseImportFile = (content, format) => {
+  let rows;
+
+  if (format === 'csv') {
+    rows = parseCsv(content);
+  } else if (Array.isArray(content)) {
+    rows = content;
+  } else {
+    try {
+      const parsed = JSON.parse(content);
+      rows = Array.isArray(parsed) ? parsed : parsed?.products;
+    } catch (error) {
+      throw createError(400, 'The file is not valid JSON');
+    }
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw createError(400, 'The file does not contain any products');
+  }
+
+  if (rows.length > config.PRODUCT_IMPORT_MAX_ROWS) {
+    throw createError(400, `An import can contain at most ${config.PRODUCT_IMPORT_MAX_ROWS} products`);
+  }
+
+  return rows;
+};
+
+/**
+ * Convert an import row to product fields. Blank cells are left out, so an
+ * update only changes the columns that have a value.
+ * @param {Object} row - Row keyed by column name
+ * @returns {Object} - { fields, messages }
+ */
+const normalizeRow = (row) => {
+  const fields = {};
+  const messages = [];
+
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { fields, messages: ['Row must be an object'] };
+  }
+
+  for (const column of PRODUCT_COLUMNS) {
+    const value = row[column];
+    if (isBlank(value)) continue;
+
+    if (NUMBER_COLUMNS.includes(column)) {
+      const number = Number(value);
+      if (Number.isFinite(number)) {
+        fields[column] = number;
+      } else {
+        messages.push(`${column} must be a number`);
+      }
+    } else if (BOOLEAN_COLUMNS.includes(column)) {
+      const flag = String(value).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(flag)) {
+        fields[column] = true;
+      } else if (['false', '0', 'no'].includes(flag)) {
+        fields[column] = false;
+      } else {
+        messages.push(`${column} must be true or false`);
+      }
+    } else if (LIST_COLUMNS.includes(column)) {
+      const list = (Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+      if (column === 'images' && list.some(url => !isImageUrl(url))) {
+        messages.push('images must be http(s) URLs or /uploads/ paths');
+      } else {
+        fields[column] = list;
+      }
+    } else if (column === 'variants') {
+      const variants = Product.keepVariantIds(value);
+      if (Array.isArray(variants)) {
+        fields.variants = variants;
+      } else {
+        messages.push('variants must be a list of variants');
+      }
+    } else if (column === 'store') {
+      if (mongoose.isValidObjectId(value)) {
+        fields.store = value;
+      } else {
+        messages.push('store must be a store ID');
+      }
+    } else {
+      fields[column] = String(value).trim();
+    }
+  }
+
+  return { fields, messages };
+};
+
+/**
+ * Resolve a category name (case-insensitive) or ID, caching lookups per job
+ * @param {string} value - Category name or ID
+ * @param {Map} cache - Lookups done so far
+ * @returns {Promise<string|null>} - Category ID
+ */
+const resolveCategory = async (value, cache) => {
+  const key = value.toLowerCase();
+  if (!cache.has(key)) {
+    let category = await Category.findOne({ name: new RegExp(`^${escapeRegex(value)}$`, 'i'), deletedAt: null }).select('_id');
+    if (!category && mongoose.isValidObjectId(value)) {
+      category = await Category.findOne({ _id: value, deletedAt: null }).select('_id');
+    }
+    cache.set(key, category?._id || null);
+  }
+  return cache.get(key);
+};
+
+/**
+ * Check that a store exists, caching lookups per job
+ * @param {string} storeId - Store ID
+ * @param {Map} cache - Lookups done so far
+ * @returns {Promise<boolean>} - Whether the store exists
+ */
+const storeExists = async (storeId, cache) => {
+  if (!cache.has(storeId)) {
+    cache.set(storeId, Boolean(await Store.exists({ _id: storeId })));
+  }
+  return cache.get(storeId);
+};
+
+const isValidStock = (value) => Number.isInteger(Number(value)) && Number(value) >= 0;
+
+// Readable messages of a failed save or validation
+const describeError = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(err => err.message);
+  }
+  if (error.code === 11000) {
+    return ['SKU already exists'];
+  }
+  return [error.message];
+};
+
+/**
+ * Create a product from an import row
+ * @param {Object} fields - Normalized product fields
+ * @param {Object} result - Row result so far
+ * @param {Object} context - { dryRun, actor }
+ * @returns {Promise<Object>} - Row result for the job report
+ */
+const createImportedProduct = async (fields, result, { dryRun, actor }) => {
+  const product = new Product(fields);
+
+  try {
+    if (dryRun) {
+      await product.validate();
+      return { ...result, status: 'valid', messages: [] };
+    }
+
+    await product.save();
+  } catch (error) {
+    return { ...result, status: 'failed', messages: describeError(error) };
+  }
+
+  await recordProductStockEdit(null, product, { actor, reason: 'Bulk import' });
+  await checkLowStock([product._id]);
+
+  return { ...result, productId: product._id, status: 'created', messages: [] };
+};
+
+/**
+ * Update an existing product from an import row. The catalog fields are saved
+ * first; stock counts in the file are then applied as relative adjustments, so
+ * orders placed meanwhile are not overwritten.
+ * @param {Object} existing - Product with the row's SKU
+ * @param {Object} fields - Normalized product fields
+ * @param {Object} result - Row result so far
+ * @param {Object} context - { dryRun, actor }
+ * @returns {Promise<Object>} - Row result for the job report
+ */
+const updateImportedProduct = async (existing, fields, result, { dryRun, actor }) => {
+  const { stockCount, ...changes } = fields;
+  const stockTargets = [];
+
+  if (changes.variants) {
+    const variants = Product.keepVariantIds(changes.variants, existing.variants);
+    variants.forEach(variant => {
+      const current = variant?._id && existing.variants.id(variant._id);
+      if (current && !isBlank(variant.stockCount)) {
+        stockTargets.push({ variantId: current._id, stockCount: variant.stockCount });
+      }
+    });
+    changes.variants = keepVariantStock(variants, existing.variants);
+  }
+
+  const hasVariants = changes.variants ? changes.variants.length > 0 : existing.variants.length > 0;
+  if (stockCount !== undefined && !hasVariants) {
+    stockTargets.push({ variantId: null, stockCount });
+  }
+
+  if (stockTargets.some(target => !isValidStock(target.stockCount))) {
+    return { ...result, status: 'failed', messages: ['Stock count must be a whole number of at least 0'] };
+  }
+
+  let product;
+  try {
+    if (dryRun) {
+      const preview = Product.hydrate(existing.toObject());
+      preview.set(changes);
+      await preview.validate();
+      return { ...result, status: 'valid', messages: [] };
+    }
+
+    // A new variant list carries the stock as read, so it is only saved while that is current
+    const filter = { _id: existing._id, deletedAt: null };
+    if (changes.variants) {
+      Object.assign(filter, unchangedStockFilter(existing));
+    }
+    product = await Product.findOneAndUpdate(filter, changes, { new: true, runValidators: true });
+  } catch (error) {
+    return { ...result, status: 'failed', messages: describeError(error) };
+  }
+
+  if (!product) {
+    return { ...result, status: 'failed', messages: ['Stock of this product changed during the import, import the row again'] };
+  }
+
+  if (changes.variants) {
+    await recordProductStockEdit(existing, product, { actor, reason: 'Bulk import' });
+  }
+
+  const messages = [];
+  for (const target of stockTargets) {
+    const current = target.variantId ? product.variants.id(target.variantId).stockCount : product.stockCount;
+    const quantity = Number(target.stockCount) - current;
+    if (quantity === 0) continue;
+
+    try {
+      await adjustStock(product, { variantId: target.variantId, type: 'adjustment', quantity, reason: 'Bulk import', actor });
+    } catch (error) {
+      messages.push(`Stock not updated: ${error.message}`);
+    }
+  }
+
+  await checkLowStock([product._id]);
+
+  return { ...result, status: 'updated', messages };
+};
+
+/**
+ * Validate one row and, unless it is a dry run, create or update the product
+ * @param {Object} row - Row keyed by column name
+ * @param {number} rowNumber - 1-based position of the row in the file
+ * @param {Object} context - { dryRun, actor, categories, stores, seenSkus }
+ * @returns {Promise<Object>} - Row result for the job report
+ */
+const importRow = async (row, rowNumber, { dryRun, actor, categories, stores, seenSkus }) => {
+  const { fields, messages } = normalizeRow(row);
+  const result = { row: rowNumber, sku: fields.sku?.toUpperCase(), name: fields.name };
+
+  if (result.sku) {
+    if (seenSkus.has(result.sku)) {
+      messages.push('SKU appears more than once in the file');
+    }
+    seenSkus.add(result.sku);
+  }
+
+  if (fields.category) {
+    const categoryId = await resolveCategory(fields.category, categories);
+    if (categoryId) {
+      fields.category = categoryId;
+    } else {
+      messages.push(`Category "${fields.category}" not found`);
+    }
+  }
+
+  if (fields.store && !(await storeExists(fields.store, stores))) {
+    messages.push('Store not found');
+  }
+
+  // Upsert by SKU
+  const existing = result.sku ? await Product.findOne({ sku: result.sku }) : null;
+  result.action = existing ? 'update' : 'create';
+  result.productId = existing?._id;
+
+  if (existing?.deletedAt) {
+    messages.push('Product with this SKU is deleted; restore it before importing');
+  }
+
+  if (messages.length > 0) {
+    return { ...result, status: 'failed', messages };
+  }
+
+  return existing
+    ? updateImportedProduct(existing, fields, result, { dryRun, actor })
+    : createImportedProduct(fields, result, { dryRun, actor });
+};
+
+/**
+ * Process an import job row by row, saving progress as it goes
+ * @param {string} jobId - Import job ID
+ * @param {Array<Object>} rows - Parsed rows
+ */
+const runImportJob = async (jobId, rows) => {
+  try {
+    const job = await ImportJob.findByIdAndUpdate(
+      jobId,
+      { $set: { status: 'running', startedAt: new Date(), total: rows.length } },
+      { new: true }
+    );
+
+    const context = {
+      dryRun: job.dryRun,
+      actor: job.createdBy,
+      categories: new Map(),
+      stores: new Map(),
+      seenSkus: new Set()
+    };
+    const counts = { valid: 0, created: 0, updated: 0, failed: 0 };
+    let pending = [];
+
+    const saveProgress = async (processed) => {
+      await ImportJob.updateOne(
+        { _id: jobId },
+        { $set: { processed, counts }, $push: { results: { $each: pending } } }
+      );
+      pending = [];
+    };
+
+    for (let i = 0; i < rows.length; i++) {
+      const result = await importRow(rows[i], i + 1, context);
+      counts[result.status]++;
+      pending.push(result);
+
+      if (pending.length >= PROGRESS_INTERVAL) {
+        await saveProgress(i + 1);
+      }
+    }
+
+    await saveProgress(rows.length);
+    await ImportJob.updateOne({ _id: jobId }, { $set: { status: 'completed', finishedAt: new Date() } });
+  } catch (error) {
+    console.error(`Product import job ${jobId} failed:`, error.message);
+    await ImportJob.updateOne(
+      { _id: jobId },
+      { $set: { status: 'failed', error: error.message, finishedAt: new Date() } }
+    ).catch(() => {});
+  }
+};
+
+/**
+ * Queue a product import and process it in the background
+ * @param {Object} options - { content, format, dryRun, actor }
+ * @returns {Promise<Object>} - Created import job
+ */
+const startProductImport = async ({ content, format, dryRun = false, actor }) => {
+  const rows = parseImportFile(content, format);
+
+  const job = await ImportJob.create({
+    createdBy: actor,
+    format,
+    dryRun,
+    total: rows.length
+  });
+
+  setImmediate(() => runImportJob(job._id, rows));
+
+  return job;
+};
+
+/**
+ * Mark jobs left unfinished by a previous server process as failed
+ * @returns {Promise<number>} - Number of jobs updated
+ */
+const failInterruptedImportJobs = async () => {
+  const result = await ImportJob.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Export products in the import format
+ * @param {Object} options - { format, filter }
+ * @returns {Promise<Object>} - { content, contentType, filename }
+ */
+const exportProducts = async ({ format = 'csv', filter = {} } = {}) => {
+  const rows = [];
+
+  const cursor = Product.find(filter).populate('category', 'name').sort({ createdAt: 1 }).lean().cursor();
+  for await (const product of cursor) {
+    const variants = (product.variants || []).map(({ sku, label, unit, price, originalPrice, stockCount, images }) => (
+      { sku, label, unit, price, originalPrice, stockCount, images }
+    ));
+
+    const row = {
+      sku: product.sku,
+      name: product.name,
+      category: product.category?.name,
+      store: product.store ? String(product.store) : undefined,
+      price: product.price,
+      originalPrice: product.originalPrice,
+      unit: product.unit,
+      stockCount: product.stockCount,
+      reorderThreshold: product.reorderThreshold,
+      isOrganic: product.isOrganic,
+      isFlashSale: product.isFlashSale,
+      isActive: product.isActive,
+      freshness: product.freshness,
+      description: product.description,
+      tags: product.tags || [],
+      images: product.images || [],
+      variants
+    };
+
+    if (format === 'csv') {
+      row.tags = row.tags.join(LIST_SEPARATOR);
+      row.images = row.images.join(LIST_SEPARATOR);
+      row.variants = variants.length > 0 ? JSON.stringify(variants) : '';
+    }
+    rows.push(row);
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    return {
+      content: toCsv(rows, PRODUCT_COLUMNS),
+      contentType: 'text/csv; charset=utf-8',
+      filename: `products-${date}.csv`
+    };
+  }
+
+  return {
+    content: JSON.stringify(rows, null, 2),
+    contentType: 'application/json; charset=utf-8',
+    filename: `products-${date}.json`
+  };
+};
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  parseImportFile,
+  normalizeRow,
+  startProductImport,
+  failInterruptedImportJobs,
+  exportProducts
+};
@@ -0,0 +1,110 @@
+const Product = require('../models/Product');
+const { escapeRegex, tokenize, editDistance } = require('../utils/searchUtils');
+
+// Limits that keep a single search query cheap
+const MAX_QUERY_TOKENS = 5;
+const MAX_VOCABULARY_SCAN = 1000;
+const MAX_EXPANSIONS_PER_TOKEN = 8;
+
+/**
+ * Edit distance tolerated for a query token of the given length
+ * @param {number} length - Token length
+ * @returns {number} - Allowed typos
+ */
+const allowedTypos = (length) => {
+  if (length < 4) return 0;
+  if (length < 8) return 1;
+  return 2;
+};
+
+/**
+ * Expand a query token to indexed terms it may refer to: prefix completions
+ * ("tom" -> "tomato") and close misspellings ("tomatoe" -> "tomato")
+ * @param {string} token - Normalized query token
+ * @returns {Promise<Array<string>>} - Matching vocabulary terms, including the token itself
+ */
+const expandToken = async (token) => {
+  const maxTypos = allowedTypos(token.length);
+
+  // Typos in the first letter are rare, so only terms sharing it are considered.
+  // The most common terms are scanned first so a large catalog cannot push them out.
+  const vocabulary = await Product.aggregate([
+    { $match: { isActive: true, searchTerms: { $regex: `^${escapeRegex(token[0])}` } } },
+    { $unwind: '$searchTerms' },
+    { $match: { searchTerms: { $regex: `^${escapeRegex(token[0])}` } } },
+    { $group: { _id: '$searchTerms', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_VOCABULARY_SCAN }
+  ]);
+
+  const matches = vocabulary
+    .map(({ _id: term }) => {
+      if (term === token) return { term, rank: 0 };
+      if (term.startsWith(token)) return { term, rank: 1 + term.length - token.length };
+      const distance = maxTypos ? editDistance(token, term, maxTypos) : maxTypos + 1;
+      return distance <= maxTypos ? { term, rank: 10 + distance } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, MAX_EXPANSIONS_PER_TOKEN)
+    .map(({ term }) => term);
+
+  return [...new Set([token, ...matches])];
+};
+
+/**
+ * Turn a raw query into the terms passed to the text index
+ * @param {string} query - User search query
+ * @returns {Promise<Array<string>>} - Search terms
+ */
+const expandQuery = async (query) => {
+  const tokens = tokenize(query, 1).slice(0, MAX_QUERY_TOKENS);
+  const expanded = await Promise.all(tokens.map(expandToken));
+  return [...new Set(expanded.flat())];
+};
+
+/**
+ * Ranked full-text product search with prefix matching and typo tolerance.
+ * User input is only ever used as text-index terms or escaped regex prefixes.
+ * @param {string} query - User search query
+ * @param {Object} options - { filter, sort, skip, limit }; sort defaults to relevance
+ * @returns {Promise<Object>} - { products, total, terms, textFilter }; textFilter is the
+ *   text-index condition used (null when the query has no searchable words)
+ */
+const searchProducts = async (query, { filter = {}, sort, skip = 0, limit = 20 } = {}) => {
+  const terms = await expandQuery(query);
+
+  if (terms.length === 0) {
+    return { products: [], total: 0, terms, textFilter: null };
+  }
+
+  const textFilter = { $text: { $search: terms.join(' ') } };
+  const searchFilter = { ...filter, ...textFilter };
+
+  const relevance = { score: { $meta: 'textScore' } };
+
+  const [products, total] = await Promise.all([
+    Product.find(searchFilter, { ...relevance, __v: 0 })
+      .populate('category', 'name icon color')
+      .sort(sort || { ...relevance, rating: -1, totalSold: -1 })
+      .skip(skip)
+      .limit(limit),
+    Product.countDocuments(searchFilter)
+  ]);
+
+  return { products, total, terms, textFilter };
+};
+
+/**
+ * Rebuild the search fields of every product (after imports or category renames)
+ * @returns {Promise<number>} - Number of products reindexed
+ */
+const reindexProducts = async () => {
+  return Product.refreshSearchFields();
+};
+
+module.exports = {
+  expandQuery,
+  searchProducts,
+  reindexProducts
+};
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const config = require('../config');
+
+/**
+ * Read device details sent by the client in the body or headers
+ * @param {Object} req - Express request
+ * @returns {Object} - { deviceName, platform, appVersion }
+ */
+const getDeviceInfo = (req) => {
+  const body = req.body || {};
+  return {
+    deviceName: body.deviceName || req.get('x-device-name'),
+    platform: body.platform || req.get('x-device-platform'),
+    appVersion: body.appVersion || req.get('x-app-version')
+  };
+};
+
+/**
+ * Start a session for a successful login or signup
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Session document
+ */
+const createSession = async (user, req) => {
+  return Session.create({
+    userId: user._id,
+    ...getDeviceInfo(req),
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    lastSeenAt: new Date(),
+    // Extended to the refresh token expiry whenever a refresh token is issued
+    expiresAt: new Date(Date.now() + config.SESSION_TOUCH_INTERVAL_MS)
+  });
+};
+
+/**
+ * Get a session if it exists and has not been revoked
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Session document
+ */
+const getActiveSession = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return Session.findOne({ _id: sessionId, revokedAt: null });
+};
+
+/**
+ * Get an active session belonging to a user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Session document
+ */
+const getUserSession = async (userId, sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return Session.findOne({ _id: sessionId, userId, revokedAt: null });
+};
+
+/**
+ * Update last-seen details, at most once per SESSION_TOUCH_INTERVAL_MS
+ * @param {Object} session - Session document
+ * @param {Object} req - Express request
+ */
+const touchSession = async (session, req) => {
+  if (Date.now() - session.lastSeenAt.getTime() < config.SESSION_TOUCH_INTERVAL_MS) return;
+
+  await Session.updateOne(
+    { _id: session._id },
+    { $set: { lastSeenAt: new Date(), ip: req.ip } }
+  );
+};
+
+/**
+ * Keep a session alive for as long as its latest refresh token
+ * @param {string} sessionId - Session ID
+ * @param {Date} expiresAt - Refresh token expiry
+ */
+const extendSession = async (sessionId, expiresAt) => {
+  await Session.updateOne({ _id: sessionId }, { $set: { expiresAt } });
+};
+
+/**
+ * Mark sessions as revoked
+ * @param {Object} filter - Session filter
+ * @param {string} reason - Revocation reason
+ */
+const revokeSessions = async (filter, reason) => {
+  await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Session documents
+ */
+const listUserSessions = async (userId) => {
+  return Session.find({ userId, revokedAt: null })
+    .sort({ lastSeenAt: -1 })
+    .select('-__v');
+};
+
+module.exports = {
+  createSession,
+  getActiveSession,
+  getUserSession,
+  touchSession,
+  extendSession,
+  revokeSessions,
+  listUserSessions
+};
@@ -0,0 +1,18 @@
+/**
+ * SMS provider that prints messages to the console (local development)
+ */
+const consoleProvider = {
+  name: 'console',
+
+  /**
+   * Send an SMS
+   * @param {Object} sms - { to, message }
+   * @returns {Promise<Object>} - Delivery result
+   */
+  send: async ({ to, message }) => {
+    console.log(`[SMS] to ${to}: ${message}`);
+    return { provider: 'console', to };
+  }
+};
+
+module.exports = consoleProvider;
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+/**
+ * SMS provider that appends messages to a JSON-lines file (local development)
+ */
+const fileProvider = {
+  name: 'file',
+
+  /**
+   * Send an SMS
+   * @param {Object} sms - { to, message }
+   * @returns {Promise<Object>} - Delivery result
+   */
+  send: async ({ to, message }) => {
+    const logFile = path.resolve(__dirname, '..', '..', config.SMS_LOG_FILE);
+    await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+    await fs.promises.appendFile(
+      logFile,
+      JSON.stringify({ to, message, sentAt: new Date().toISOString() }) + '\n'
+    );
+    return { provider: 'file', to };
+  }
+};
+
+module.exports = fileProvider;
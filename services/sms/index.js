@@ -0,0 +1,92 @@
+const config = require('../../config');
+const consoleProvider = require('./consoleProvider');
+const fileProvider = require('./fileProvider');
+const { createError } = require('../../utils/errorUtils');
+
+// Available providers, keyed by the value of SMS_PROVIDER
+const providers = {
+  console: consoleProvider,
+  file: fileProvider
+};
+
+// Providers that only log messages, for local development
+const DEVELOPMENT_PROVIDERS = ['console', 'file'];
+
+/**
+ * Register an SMS provider (e.g. a gateway integration)
+ * @param {string} name - Provider name used in SMS_PROVIDER
+ * @param {Object} provider - Object exposing async send({ to, message })
+ */
+const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider "${name}" must implement send()`);
+  }
+  providers[name] = provider;
+};
+
+/**
+ * Get the configured SMS provider
+ * @returns {Object} - SMS provider
+ */
+const getSmsProvider = () => {
+  const provider = providers[config.SMS_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider "${config.SMS_PROVIDER}"`);
+  }
+  return provider;
+};
+
+/**
+ * Why SMS cannot be delivered right now. In production the development providers
+ * do not count: codes would be logged instead of reaching the user.
+ * @returns {string|null} - Reason, or null when a usable provider is configured
+ */
+const getSmsUnavailableReason = () => {
+  if (!providers[config.SMS_PROVIDER]) {
+    return `Unknown SMS provider "${config.SMS_PROVIDER}"`;
+  }
+  if (config.NODE_ENV === 'production' && DEVELOPMENT_PROVIDERS.includes(config.SMS_PROVIDER)) {
+    return `SMS provider "${config.SMS_PROVIDER}" is for development only; register a gateway and set SMS_PROVIDER`;
+  }
+  return null;
+};
+
+/**
+ * Reject a request that needs SMS while no usable provider is registered
+ * @throws {Error} - 503 until a provider is available
+ */
+const assertSmsAvailable = () => {
+  if (getSmsUnavailableReason()) {
+    throw createError(503, 'SMS delivery is currently unavailable. Please try again later.');
+  }
+};
+
+/**
+ * Warn at startup when SMS cannot be delivered. Providers may still be
+ * registered later; until then requests that send SMS return 503.
+ */
+const warnIfSmsUnavailable = () => {
+  const reason = getSmsUnavailableReason();
+  if (reason) {
+    console.warn(`SMS delivery unavailable: ${reason}. Requests that send SMS will return 503.`);
+  }
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} to - Recipient phone number
+ * @param {string} message - Message body
+ * @returns {Promise<Object>} - Delivery result
+ */
+const sendSms = async (to, message) => {
+  assertSmsAvailable();
+  return getSmsProvider().send({ to, message });
+};
+
+module.exports = {
+  registerSmsProvider,
+  getSmsProvider,
+  assertSmsAvailable,
+  warnIfSmsUnavailable,
+  sendSms
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const SearchSuggestion = require('../models/SearchSuggestion');
+const config = require('../config');
+const { escapeRegex, normalizeText, tokenize } = require('../utils/searchUtils');
+const { createError } = require('../utils/errorUtils');
+
+// Suggestions returned per type
+const SUGGESTION_LIMITS = {
+  query: 3,
+  category: 3,
+  product: 5
+};
+
+/**
+ * Find the parts of a suggestion that match the typed words
+ * @param {string} text - Suggestion text
+ * @param {Array<string>} tokens - Normalized query tokens
+ * @returns {Array<Object>} - Matched ranges as { start, end }
+ */
+const findMatches = (text, tokens) => {
+  const lowered = text.toLowerCase();
+  const matches = [];
+  const wordStart = /[a-z0-9]+/g;
+  let word;
+
+  while ((word = wordStart.exec(lowered)) !== null) {
+    const token = tokens.find(t => word[0].startsWith(t));
+    if (token) {
+      matches.push({ start: word.index, end: word.index + token.length });
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Autocomplete suggestions for a partially typed query
+ * @param {string} query - Typed text
+ * @returns {Promise<Object>} - { queries, categories, products }
+ */
+const getSuggestions = async (query) => {
+  const tokens = tokenize(query, 1).slice(0, 5);
+  const result = { queries: [], categories: [], products: [] };
+
+  if (tokens.length === 0) return result;
+
+  // Every typed word must start one of the suggestion's words
+  const keywords = { $all: tokens.map(token => new RegExp(`^${escapeRegex(token)}`)) };
+
+  const find = (type, extra = {}) => SearchSuggestion.find({ type, keywords, ...extra })
+    .sort({ weight: -1, text: 1 })
+    .limit(SUGGESTION_LIMITS[type])
+    .select('type text refId')
+    .lean();
+
+  const [queries, categories, products] = await Promise.all([
+    // Only approved queries searched by several users are shown to others
+    find('query', { status: 'approved', weight: { $gte: config.SEARCH_SUGGESTION_MIN_QUERY_COUNT } }),
+    find('category'),
+    find('product')
+  ]);
+
+  const format = ({ refId, text }) => ({
+    ...(refId && { id: refId }),
+    text,
+    matches: findMatches(text, tokens)
+  });
+
+  result.queries = queries.map(format);
+  result.categories = categories.map(format);
+  result.products = products.map(format);
+
+  return result;
+};
+
+/**
+ * Count a search that returned results so it can be suggested later.
+ * Failures are logged and never fail the search.
+ * @param {string} query - Search query
+ * @param {string} searcher - User ID, or IP address for guests
+ */
+const recordSearchQuery = async (query, searcher) => {
+  try {
+    if (normalizeText(query).length >= 2) {
+      // Only a keyed hash is stored, enough to tell searchers apart
+      const searcherHash = crypto
+        .createHmac('sha256', config.JWT_SECRET)
+        .update(`search:${searcher}`)
+        .digest('hex')
+        .slice(0, 32);
+      await SearchSuggestion.recordQuery(query, searcherHash);
+    }
+  } catch (error) {
+    console.error('Failed to record search query:', error.message);
+  }
+};
+
+/**
+ * List recorded search queries for moderation, most searched first
+ * @param {Object} options - { status, page, limit }
+ * @returns {Promise<Object>} - { queries, total }
+ */
+const listQuerySuggestions = async ({ status, page, limit }) => {
+  const filter = { type: 'query', ...(status && { status }) };
+
+  const [queries, total] = await Promise.all([
+    SearchSuggestion.find(filter)
+      .populate('moderatedBy', 'name email')
+      .select('text weight status moderatedBy moderatedAt createdAt')
+      .sort({ weight: -1, text: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    SearchSuggestion.countDocuments(filter)
+  ]);
+
+  return { queries, total };
+};
+
+/**
+ * Approve or reject a recorded search query
+ * @param {string} id - Suggestion ID
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {string} actor - Moderating user
+ * @returns {Promise<Object>} - { before, suggestion }
+ */
+const moderateQuerySuggestion = async (id, status, actor) => {
+  const before = await SearchSuggestion.findOneAndUpdate(
+    { _id: id, type: 'query' },
+    { $set: { status, moderatedBy: actor, moderatedAt: new Date() } }
+  ).select('text status').lean();
+
+  if (!before) {
+    throw createError(404, 'Search query not found');
+  }
+
+  return { before, suggestion: { ...before, status } };
+};
+
+/**
+ * Rebuild product and category suggestions from scratch.
+ * Recorded queries are kept.
+ * @returns {Promise<Object>} - { products, categories } counts
+ */
+const rebuildSuggestions = async () => {
+  await SearchSuggestion.deleteMany({ type: { $in: ['product', 'category'] } });
+
+  let products = 0;
+  for await (const product of Product.find({ isActive: true }).select('name isActive totalSold').cursor()) {
+    await SearchSuggestion.syncProduct(product);
+    products++;
+  }
+
+  let categories = 0;
+  for await (const category of Category.find({ isActive: true }).select('name isActive').cursor()) {
+    await SearchSuggestion.syncCategory(category);
+    categories++;
+  }
+
+  return { products, categories };
+};
+
+module.exports = {
+  getSuggestions,
+  recordSearchQuery,
+  listQuerySuggestions,
+  moderateQuerySuggestion,
+  rebuildSuggestions
+};
@@ -0,0 +1,196 @@
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  decodeToken,
+  hashToken
+} = require('../utils/jwtUtils');
+const { createError } = require('../utils/errorUtils');
+const {
+  createSession,
+  getActiveSession,
+  touchSession,
+  extendSession,
+  revokeSessions
+} = require('./sessionService');
+
+/**
+ * Sign a refresh token and store its hash server-side
+ * @param {string} userId - Owner of the token
+ * @param {string} family - Rotation family the token belongs to (the session ID)
+ * @param {Object} req - Express request (for IP and user agent)
+ * @returns {Promise<string>} - Signed refresh token
+ */
+const createRefreshToken = async (userId, family, req) => {
+  const refreshToken = generateRefreshToken({ id: userId, family, jti: uuidv4() });
+  const { payload } = decodeToken(refreshToken);
+  const expiresAt = new Date(payload.exp * 1000);
+
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt,
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  await extendSession(family, expiresAt);
+
+  return refreshToken;
+};
+
+/**
+ * Issue an access token and a refresh token for a user.
+ * Each login starts a session whose ID is used as the refresh token family.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @param {string} sessionId - Existing session when rotating (a new session is started otherwise)
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId }
+ */
+const issueAuthTokens = async (user, req, sessionId) => {
+  const family = sessionId ? String(sessionId) : String((await createSession(user, req))._id);
+
+  const token = generateToken({ id: user._id, family, jti: uuidv4() });
+  const refreshToken = await createRefreshToken(user._id, family, req);
+
+  return { token, refreshToken, sessionId: family };
+};
+
+/**
+ * Revoke every active token in a rotation family and end its session
+ * @param {string} family - Token family (session ID)
+ * @param {string} reason - Revocation reason
+ */
+const revokeTokenFamily = async (family, reason) => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await revokeSessions({ _id: family }, reason);
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting a token that was already rotated revokes its whole family.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { user, token, refreshToken }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  try {
+    verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw createError(401, 'Invalid refresh token. Please login again.');
+  }
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) {
+    throw createError(401, 'Invalid refresh token. Please login again.');
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+    { new: true }
+  );
+
+  if (!current) {
+    if (stored.revokedReason !== 'rotated') {
+      throw createError(401, 'Session has ended. Please login again.');
+    }
+    await revokeTokenFamily(stored.family, 'reuse_detected');
+    throw createError(401, 'Refresh token has already been used. Please login again.');
+  }
+
+  const session = await getActiveSession(stored.family);
+  if (!session) {
+    throw createError(401, 'Session has ended. Please login again.');
+  }
+  await touchSession(session, req);
+
+  const user = await User.findById(stored.userId);
+  if (!user || !user.isActive) {
+    throw createError(401, 'User account is deactivated.');
+  }
+
+  const tokens = await issueAuthTokens(user, req, stored.family);
+
+  current.replacedByHash = hashToken(tokens.refreshToken);
+  await current.save();
+
+  return { user, ...tokens };
+};
+
+/**
+ * Revoke a single access token and the refresh token family it was issued with
+ * @param {Object} decoded - Verified access token payload
+ * @param {string} reason - Revocation reason
+ */
+const revokeAccessToken = async (decoded, reason = 'logout') => {
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        jti: decoded.jti,
+        userId: decoded.id,
+        reason,
+        expiresAt: new Date(decoded.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+
+  if (decoded.family) {
+    await revokeTokenFamily(decoded.family, reason);
+  }
+};
+
+/**
+ * Invalidate every access and refresh token issued to a user so far
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ */
+const revokeAllUserTokens = async (userId, reason) => {
+  // JWT iat has second precision, so truncate to keep tokens issued right after this call valid
+  const tokensValidAfter = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+  await User.findByIdAndUpdate(userId, { tokensValidAfter });
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await revokeSessions({ userId }, reason);
+};
+
+/**
+ * Resolve the session of a verified access token
+ * @param {Object} decoded - Verified access token payload
+ * @param {Object} user - Token owner
+ * @returns {Promise<Object|null>} - Active session, or null if the token must be rejected
+ */
+const getAccessTokenSession = async (decoded, user) => {
+  if (!decoded.jti || !decoded.family) return null;
+
+  if (user.tokensValidAfter && decoded.iat * 1000 < user.tokensValidAfter.getTime()) {
+    return null;
+  }
+
+  if (await RevokedToken.exists({ jti: decoded.jti })) return null;
+
+  return getActiveSession(decoded.family);
+};
+
+module.exports = {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  getAccessTokenSession
+};
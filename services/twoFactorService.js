@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const config = require('../config');
+const {
+  generateTotpSecret,
+  verifyTotpCode,
+  buildOtpAuthUri
+} = require('../utils/totpUtils');
+const { encrypt, decrypt } = require('../utils/cryptoUtils');
+const { hashToken } = require('../utils/jwtUtils');
+const { createError } = require('../utils/errorUtils');
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Check whether the 2FA policy requires this user to have 2FA enabled
+ * @param {Object} user - User document
+ * @returns {boolean} - True if 2FA is mandatory for the user's role
+ */
+const isTwoFactorRequired = (user) => {
+  return config.TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+};
+
+/**
+ * Generate one-time recovery codes
+ * @returns {Array<string>} - Plain recovery codes (shown to the user once)
+ */
+const generateRecoveryCodes = () => {
+  return Array.from({ length: config.TWO_FACTOR_RECOVERY_CODES }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+/**
+ * Start 2FA enrollment with a new pending secret
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { secret, otpauthUri }
+ */
+const beginTwoFactorSetup = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+
+  if (user.twoFactor?.enabled) {
+    throw createError(400, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = encrypt(secret);
+  await user.save({ validateBeforeSave: false });
+
+  return {
+    secret,
+    otpauthUri: buildOtpAuthUri(secret, user.email || user.phone, config.TWO_FACTOR_ISSUER)
+  };
+};
+
+/**
+ * Confirm enrollment with the first code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<Array<string>>} - Recovery codes
+ */
+const enableTwoFactor = async (userId, code) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+
+  if (user.twoFactor?.enabled) {
+    throw createError(400, 'Two-factor authentication is already enabled');
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw createError(400, 'Start two-factor setup before enabling it');
+  }
+
+  const step = verifyTotpCode(decrypt(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw createError(400, 'Invalid two-factor code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+  await user.save({ validateBeforeSave: false });
+
+  return recoveryCodes;
+};
+
+/**
+ * Verify a TOTP code or consume a recovery code for a user with 2FA enabled.
+ * TOTP codes cannot be replayed within their validity window.
+ * @param {string} userId - User ID
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @returns {Promise<boolean>} - True if the second factor is valid
+ */
+const verifyTwoFactor = async (userId, { code, recoveryCode }) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+
+  if (!user || !user.twoFactor?.enabled) return false;
+
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hashToken(recoveryCode.trim().toLowerCase()) },
+      { $pull: { 'twoFactor.recoveryCodes': hashToken(recoveryCode.trim().toLowerCase()) } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = verifyTotpCode(decrypt(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  // Record the step atomically so the same code cannot be used twice
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': null }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Replace the user's recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} - New recovery codes
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashToken) } }
+  );
+  return recoveryCodes;
+};
+
+/**
+ * Turn off 2FA and remove its secrets
+ * @param {string} userId - User ID
+ */
+const disableTwoFactor = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    }
+  );
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const config = require('../config');
+const { deleteFile } = require('../middleware/uploadMiddleware');
+const { RENDITION_DIRS, getRenditionFilenames, generateRenditions } = require('../utils/imageUtils');
+
+const uploadsDir = path.join(__dirname, '../uploads');
+
+// Upload directories whose files are only referenced by products, categories and orders
+const PURGEABLE_UPLOAD_DIRS = ['products', 'categories'];
+
+/**
+ * Path below the uploads directory of a stored image path or URL
+ * @param {string} url - e.g. /uploads/products/x.jpg or http://host/uploads/categories/y.png
+ * @returns {string|null} - e.g. products/x.jpg, or null for external images
+ */
+const toUploadPath = (url) => {
+  const match = /\/uploads\/([^?#]+)/.exec(String(url || ''));
+  return match ? path.posix.normalize(match[1]) : null;
+};
+
+/**
+ * Collect every uploaded file still referenced, including by soft-deleted
+ * products and categories (they can be restored) and by order items.
+ * The renditions of a referenced image count as referenced too.
+ * @returns {Promise<Set<string>>} - Paths below the uploads directory
+ */
+const collectReferencedUploads = async () => {
+  const lists = await Promise.all([
+    Product.distinct('images'),
+    Product.distinct('variants.images'),
+    Category.distinct('icon'),
+    Order.distinct('items.image')
+  ]);
+
+  const referenced = new Set();
+  lists.flat().map(toUploadPath).filter(Boolean).forEach((uploadPath) => {
+    const dir = path.posix.dirname(uploadPath);
+    referenced.add(uploadPath);
+    getRenditionFilenames(path.posix.basename(uploadPath)).forEach(filename => referenced.add(`${dir}/${filename}`));
+  });
+
+  return referenced;
+};
+
+/**
+ * Delete product and category images that nothing references any more.
+ * Recent files are skipped: they may belong to an upload not saved yet.
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} - { dryRun, scanned, removed }
+ */
+const purgeOrphanedUploads = async ({ dryRun = false } = {}) => {
+  const referenced = await collectReferencedUploads();
+  const cutoff = Date.now() - config.UPLOAD_ORPHAN_MIN_AGE_MS;
+  const removed = [];
+  let scanned = 0;
+
+  for (const dir of PURGEABLE_UPLOAD_DIRS) {
+    const fullDir = path.join(uploadsDir, dir);
+    if (!fs.existsSync(fullDir)) continue;
+
+    const entries = await fs.promises.readdir(fullDir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+      scanned++;
+
+      if (referenced.has(`${dir}/${entry.name}`)) continue;
+
+      const filePath = path.join(fullDir, entry.name);
+      const { mtimeMs } = await fs.promises.stat(filePath);
+      if (mtimeMs > cutoff) continue;
+
+      if (dryRun || deleteFile(filePath)) {
+        removed.push(`/uploads/${dir}/${entry.name}`);
+      }
+    }
+  }
+
+  return { dryRun, scanned, removed };
+};
+
+/**
+ * Write the renditions missing for product, category and avatar images, e.g.
+ * images uploaded before renditions existed or copied in for an import
+ * @returns {Promise<Object>} - { scanned, generated, failed }
+ */
+const generateMissingRenditions = async () => {
+  let scanned = 0;
+  const generated = [];
+  const failed = [];
+
+  for (const dir of RENDITION_DIRS) {
+    const fullDir = path.join(uploadsDir, dir);
+    if (!fs.existsSync(fullDir)) continue;
+
+    const filenames = (await fs.promises.readdir(fullDir, { withFileTypes: true }))
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+      .map(entry => entry.name);
+    const existing = new Set(filenames);
+    const renditionNames = new Set(filenames.flatMap(getRenditionFilenames));
+
+    for (const filename of filenames) {
+      if (renditionNames.has(filename)) continue;
+      scanned++;
+
+      const missing = getRenditionFilenames(filename).filter(name => !existing.has(name));
+      if (missing.length === 0) continue;
+
+      try {
+        await generateRenditions(path.join(fullDir, filename));
+        generated.push(`/uploads/${dir}/${filename}`);
+      } catch (error) {
+        failed.push({ file: `/uploads/${dir}/${filename}`, error: error.message });
+      }
+    }
+  }
+
+  return { scanned, generated, failed };
+};
+
+/**
+ * Periodically purge orphaned uploads
+ * @returns {Object} - Interval handle
+ */
+const startUploadPurgeScheduler = () => {
+  const timer = setInterval(() => {
+    purgeOrphanedUploads().catch((error) => {
+      console.error('Upload purge failed:', error.message);
+    });
+  }, config.UPLOAD_PURGE_INTERVAL_MS);
+
+  // Do not keep the process alive just for the purge
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  purgeOrphanedUploads,
+  generateMissingRenditions,
+  startUploadPurgeScheduler
+};
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// 256-bit key derived from the configured encryption secret
+const getKey = () => crypto.createHash('sha256').update(config.ENCRYPTION_KEY).digest();
+
+/**
+ * Encrypt a string for storage (AES-256-GCM)
+ * @param {string} plainText - Value to encrypt
+ * @returns {string} - iv:authTag:cipherText, hex encoded
+ */
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload - iv:authTag:cipherText, hex encoded
+ * @returns {string} - Decrypted value
+ */
+const decrypt = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,95 @@
+// Text a spreadsheet would run as a formula, possibly behind quotes added by formatCsvField
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+/**
+ * Undo the formula escaping of formatCsvField
+ * @param {string} field - Parsed CSV field
+ * @returns {string} - Original text
+ */
+const unescapeCsvField = (field) => {
+  return field.startsWith("'") && FORMULA_PREFIX.test(field.slice(1)) ? field.slice(1) : field;
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and line breaks)
+ * @param {string} text - CSV text; the first line holds the column names.
+ *   Fields escaped against formula injection by formatCsvField are restored.
+ * @returns {Array<Object>} - One object per data line, keyed by column name
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, ''); // Strip a byte order mark
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...lines] = records;
+  const columns = header.map(column => column.trim());
+
+  return lines
+    .filter(line => line.some(value => value.trim() !== ''))
+    .map(line => Object.fromEntries(columns.map((column, index) => [column, unescapeCsvField(line[index] ?? '')])));
+};
+
+/**
+ * Quote a CSV field when needed. Text starting with =, +, -, @, a tab or a CR gets a
+ * leading ' so spreadsheets do not run it as a formula; parseCsv removes it again.
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+const formatCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize objects to CSV
+ * @param {Array<Object>} rows - Rows to write
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string} - CSV text with a header line
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(formatCsvField).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => formatCsvField(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  parseCsv,
+  formatCsvField,
+  toCsv
+};
@@ -0,0 +1,17 @@
+/**
+ * Create an error carrying an HTTP status code for the global error handler
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {Array} errors - Optional list of detailed errors for the response
+ * @returns {Error} - Error with statusCode set
+ */
+const createError = (statusCode, message, errors) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (errors) error.errors = errors;
+  return error;
+};
+
+module.exports = {
+  createError
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const config = require('../config');
+
+// Upload directories whose images get resized renditions
+const RENDITION_DIRS = ['products', 'categories', 'avatars'];
+
+// sharp output format by file extension
+const IMAGE_FORMATS = {
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.png': 'png',
+  '.gif': 'gif',
+  '.webp': 'webp'
+};
+
+const renditionSizes = () => Object.keys(config.IMAGE_RENDITION_SIZES);
+
+/**
+ * File names of the renditions of an image: <name>-<size><ext> and <name>-<size>.webp
+ * @param {string} filename - Original file name
+ * @returns {Array<string>} - Rendition file names (empty for unsupported formats)
+ */
+const getRenditionFilenames = (filename) => {
+  const { name, ext } = path.parse(filename);
+  if (!IMAGE_FORMATS[ext]) return [];
+
+  return renditionSizes().flatMap(size => (
+    ext === '.webp' ? [`${name}-${size}.webp`] : [`${name}-${size}${ext}`, `${name}-${size}.webp`]
+  ));
+};
+
+/**
+ * Rendition URLs of an uploaded product, category or avatar image
+ * @param {string} url - Stored image path or URL, e.g. /uploads/products/x.jpg
+ * @returns {Object|null} - { original, thumbnail: { url, webp }, medium, large }, or null
+ * for external images
+ */
+const getImageRenditions = (url) => {
+  const match = /^(.*\/uploads\/([a-z]+)\/)([^/?#]+)$/.exec(url || '');
+  if (!match || !RENDITION_DIRS.includes(match[2])) return null;
+
+  const [, base, , filename] = match;
+  const { name, ext } = path.parse(filename);
+  if (!IMAGE_FORMATS[ext]) return null;
+
+  const renditions = { original: url };
+  renditionSizes().forEach(size => {
+    renditions[size] = {
+      url: `${base}${name}-${size}${ext}`,
+      webp: `${base}${name}-${size}.webp`
+    };
+  });
+  return renditions;
+};
+
+/**
+ * Strip metadata (EXIF, GPS) from an uploaded image and write its renditions
+ * next to it. Images are rotated upright before the orientation tag is dropped.
+ * @param {string} filePath - Absolute path of the original
+ * @returns {Promise<Array<string>>} - Paths of the files written
+ */
+const generateRenditions = async (filePath) => {
+  const { dir, name, ext } = path.parse(filePath);
+  const format = IMAGE_FORMATS[ext];
+  if (!format) return [];
+
+  const input = await fs.promises.readFile(filePath);
+  // GIFs keep their animation frames and carry no orientation
+  const animated = format === 'gif';
+  const load = () => (animated ? sharp(input, { animated }) : sharp(input).rotate());
+
+  // sharp drops all metadata unless asked to keep it
+  await fs.promises.writeFile(filePath, await load().toFormat(format).toBuffer());
+
+  const written = [];
+  for (const [size, maxSize] of Object.entries(config.IMAGE_RENDITION_SIZES)) {
+    const resize = () => load().resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true });
+
+    const target = path.join(dir, `${name}-${size}${ext}`);
+    await resize().toFormat(format).toFile(target);
+    written.push(target);
+
+    if (format !== 'webp') {
+      const webpTarget = path.join(dir, `${name}-${size}.webp`);
+      await resize().webp({ quality: config.IMAGE_WEBP_QUALITY }).toFile(webpTarget);
+      written.push(webpTarget);
+    }
+  }
+
+  return written;
+};
+
+module.exports = {
+  RENDITION_DIRS,
+  getRenditionFilenames,
+  getImageRenditions,
+  generateRenditions
+};
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const config = require('../config');
 
 /**
@@ -48,8 +49,8 @@ const verifyToken = (token) => {
  */
 const generateRefreshToken = (payload) => {
   try {
-    return jwt.sign(payload, config.JWT_SECRET, {
-      expiresIn: '7d', // Refresh token expires in 7 days
+    return jwt.sign(payload, config.JWT_REFRESH_SECRET, {
+      expiresIn: config.JWT_REFRESH_EXPIRES_IN,
       issuer: 'grocery-app',
       audience: 'grocery-refresh'
     });
@@ -65,7 +66,7 @@ const generateRefreshToken = (payload) => {
  */
 const verifyRefreshToken = (token) => {
   try {
-    return jwt.verify(token, config.JWT_SECRET, {
+    return jwt.verify(token, config.JWT_REFRESH_SECRET, {
       issuer: 'grocery-app',
       audience: 'grocery-refresh'
     });
@@ -74,6 +75,39 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * Generate a short-lived token for the second login step
+ * @param {Object} payload - Token payload
+ * @returns {string} - Two-factor challenge token
+ */
+const generateTwoFactorToken = (payload) => {
+  try {
+    return jwt.sign(payload, config.JWT_SECRET, {
+      expiresIn: config.TWO_FACTOR_TOKEN_EXPIRES_IN,
+      issuer: 'grocery-app',
+      audience: 'grocery-2fa'
+    });
+  } catch (error) {
+    throw new Error('Error generating two-factor token');
+  }
+};
+
+/**
+ * Verify two-factor challenge token
+ * @param {string} token - Two-factor token to verify
+ * @returns {Object} - Decoded token payload
+ */
+const verifyTwoFactorToken = (token) => {
+  try {
+    return jwt.verify(token, config.JWT_SECRET, {
+      issuer: 'grocery-app',
+      audience: 'grocery-2fa'
+    });
+  } catch (error) {
+    throw new Error('Invalid two-factor token');
+  }
+};
+
 /**
  * Decode token without verification (for debugging)
  * @param {string} token - JWT token to decode
@@ -87,10 +121,22 @@ const decodeToken = (token) => {
   }
 };
 
+/**
+ * Hash a token for server-side storage
+ * @param {string} token - Token to hash
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 module.exports = {
   generateToken,
   verifyToken,
   generateRefreshToken,
   verifyRefreshToken,
-  decodeToken
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+  decodeToken,
+  hashToken
 };
\ No newline at end of file
@@ -1,6 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const config = require('../config');
 
+// Character classes a password policy can require
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, message: 'Password must contain at least one lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, message: 'Password must contain at least one uppercase letter' },
+  letter: { pattern: /[a-zA-Z]/, message: 'Password must contain at least one letter' },
+  digit: { pattern: /\d/, message: 'Password must contain at least one number' },
+  symbol: { pattern: /[^a-zA-Z0-9]/, message: 'Password must contain at least one symbol' }
+};
+
+let blocklist;
+
+/**
+ * Load the offline list of common passwords (once). Loaded at startup by
+ * checkPasswordPolicy so a missing file stops the server instead of disabling the check.
+ * @returns {Set<string>} - Lowercased blocked passwords
+ * @throws {Error} - If the blocklist file cannot be read
+ */
+const getBlocklist = () => {
+  if (!blocklist) {
+    const file = path.resolve(__dirname, '..', config.PASSWORD_BLOCKLIST_FILE);
+    try {
+      blocklist = new Set(
+        fs.readFileSync(file, 'utf8')
+          .split(/\r?\n/)
+          .map(line => line.trim().toLowerCase())
+          .filter(line => line && !line.startsWith('#'))
+      );
+    } catch (error) {
+      throw new Error(`Password blocklist could not be loaded from ${file}: ${error.message}`);
+    }
+  }
+  return blocklist;
+};
+
 /**
  * Hash a password
  * @param {string} password - Plain text password
@@ -30,61 +67,135 @@ const comparePassword = async (password, hashedPassword) => {
 };
 
 /**
- * Validate password strength
+ * Validate a password against the configured policy.
+ * Each error names the rule that failed.
  * @param {string} password - Password to validate
- * @returns {Object} - Validation result
+ * @param {Object} user - Optional { email, phone } the password must not contain
+ * @returns {Object} - { isValid, errors: [{ rule, message }] }
  */
-const validatePassword = (password) => {
+const validatePassword = (password, user = {}) => {
   const result = {
     isValid: true,
     errors: []
   };
 
-  if (!password) {
+  const fail = (rule, message) => {
     result.isValid = false;
-    result.errors.push('Password is required');
+    result.errors.push({ rule, message });
+  };
+
+  if (!password) {
+    fail('required', 'Password is required');
     return result;
   }
 
-  if (password.length < 6) {
-    result.isValid = false;
-    result.errors.push('Password must be at least 6 characters long');
+  if (password.length < config.PASSWORD_MIN_LENGTH) {
+    fail('min_length', `Password must be at least ${config.PASSWORD_MIN_LENGTH} characters long`);
   }
 
-  if (password.length > 128) {
-    result.isValid = false;
-    result.errors.push('Password cannot be longer than 128 characters');
+  if (password.length > config.PASSWORD_MAX_LENGTH) {
+    fail('max_length', `Password cannot be longer than ${config.PASSWORD_MAX_LENGTH} characters`);
+  }
+
+  for (const name of config.PASSWORD_REQUIRED_CHARACTER_CLASSES) {
+    const characterClass = CHARACTER_CLASSES[name];
+    if (characterClass && !characterClass.pattern.test(password)) {
+      fail(name, characterClass.message);
+    }
+  }
+
+  const lowered = password.toLowerCase();
+
+  if (getBlocklist().has(lowered)) {
+    fail('common_password', 'Password is too common. Please choose a less predictable password');
+  }
+
+  const emailName = user.email?.split('@')[0].toLowerCase();
+  if ((user.phone && lowered.includes(user.phone)) || (emailName?.length >= 4 && lowered.includes(emailName))) {
+    fail('personal_info', 'Password cannot contain your phone number or email address');
+  }
+
+  return result;
+};
+
+/**
+ * Check whether a password matches the user's current or recent passwords
+ * @param {string} password - Candidate password
+ * @param {Object} user - User document selected with +password +passwordHistory
+ * @returns {Promise<boolean>} - True if the password was used before
+ */
+const isPasswordReused = async (password, user) => {
+  const hashes = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await comparePassword(password, hash)) return true;
   }
+  return false;
+};
+
+/**
+ * Validate a new password for an existing user, including reuse history
+ * @param {string} password - New password
+ * @param {Object} user - User document selected with +password +passwordHistory
+ * @returns {Promise<Object>} - { isValid, errors: [{ rule, message }] }
+ */
+const validatePasswordPolicy = async (password, user) => {
+  const result = validatePassword(password, user);
 
-  // Check for at least one letter and one number
-  // Optional: Enable this for stronger password requirements
-  // if (!/(?=.*[a-zA-Z])(?=.*\d)/.test(password)) {
-  //   result.isValid = false;
-  //   result.errors.push('Password must contain at least one letter and one number');
-  // }
+  if (password && await isPasswordReused(password, user)) {
+    result.isValid = false;
+    result.errors.push({
+      rule: 'reused',
+      message: `Password cannot be the same as your current or last ${config.PASSWORD_HISTORY_SIZE} passwords`
+    });
+  }
 
   return result;
 };
 
+// Candidates tried before generatePassword gives up on the policy
+const MAX_GENERATE_ATTEMPTS = 100;
+
 /**
- * Generate a random password
- * @param {number} length - Password length (default: 12)
+ * Generate a random password that satisfies the password policy
+ * @param {number} length - Password length (default: 12), clamped to the policy's length limits
  * @returns {string} - Generated password
+ * @throws {Error} - If no candidate satisfies the policy
  */
 const generatePassword = (length = 12) => {
   const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
-  let password = '';
-  
-  for (let i = 0; i < length; i++) {
-    password += charset.charAt(Math.floor(Math.random() * charset.length));
+  const size = Math.min(Math.max(length, config.PASSWORD_MIN_LENGTH), config.PASSWORD_MAX_LENGTH);
+
+  for (let attempt = 0; attempt < MAX_GENERATE_ATTEMPTS; attempt++) {
+    let password = '';
+    for (let i = 0; i < size; i++) {
+      password += charset.charAt(crypto.randomInt(charset.length));
+    }
+    if (validatePassword(password).isValid) {
+      return password;
+    }
   }
-  
-  return password;
+
+  throw new Error('Could not generate a password that satisfies the password policy');
+};
+
+/**
+ * Check the password policy configuration and load the blocklist. Called at
+ * startup so a bad configuration stops the server instead of weakening the policy.
+ * @throws {Error} - If the length limits conflict or the blocklist cannot be read
+ */
+const checkPasswordPolicy = () => {
+  if (config.PASSWORD_MAX_LENGTH < config.PASSWORD_MIN_LENGTH) {
+    throw new Error(`PASSWORD_MAX_LENGTH (${config.PASSWORD_MAX_LENGTH}) must not be less than PASSWORD_MIN_LENGTH (${config.PASSWORD_MIN_LENGTH})`);
+  }
+  getBlocklist();
 };
 
 module.exports = {
   hashPassword,
   comparePassword,
   validatePassword,
-  generatePassword
-};
\ No newline at end of file
+  validatePasswordPolicy,
+  generatePassword,
+  checkPasswordPolicy
+};
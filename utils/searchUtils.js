@@ -0,0 +1,79 @@
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - User input
+ * @returns {string} - Escaped string
+ */
+const escapeRegex = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Lowercase text and strip accents and punctuation
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (text) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Split text into unique search tokens
+ * @param {string} text - Text to tokenize
+ * @param {number} minLength - Shortest token to keep (default: 2)
+ * @returns {Array<string>} - Tokens
+ */
+const tokenize = (text, minLength = 2) => {
+  const tokens = normalizeText(text).split(' ').filter(token => token.length >= minLength);
+  return [...new Set(tokens)];
+};
+
+/**
+ * Levenshtein edit distance, giving up once it exceeds maxDistance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Largest distance of interest
+ * @returns {number} - Edit distance (maxDistance + 1 if larger)
+ */
+const editDistance = (a, b, maxDistance = 2) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Build the vocabulary terms used for prefix and typo matching of a product
+ * @param {Object} product - { name, categoryName, tags }
+ * @returns {Array<string>} - Unique terms
+ */
+const buildSearchTerms = ({ name, categoryName, tags = [] }) => {
+  return tokenize([name, categoryName, ...tags].join(' '));
+};
+
+module.exports = {
+  escapeRegex,
+  normalizeText,
+  tokenize,
+  editDistance,
+  buildSearchTerms
+};
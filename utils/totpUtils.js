@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding ignored)
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} - Base32 encoded 160-bit secret
+ */
+const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Generate the TOTP code for a time step (RFC 6238, HMAC-SHA1)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+const generateTotpCode = (secret, step = Math.floor(Date.now() / 1000 / TIME_STEP_SECONDS)) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Accepted steps before/after the current one
+ * @returns {number|null} - Matching time step, or null if invalid
+ */
+const verifyTotpCode = (secret, code, window = 1) => {
+  if (!/^\d{6}$/.test(String(code))) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TIME_STEP_SECONDS);
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = Buffer.from(generateTotpCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (e.g. phone or email)
+ * @param {string} issuer - Issuer shown in the app
+ * @returns {string} - otpauth URI
+ */
+const buildOtpAuthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(TIME_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateTotpSecret,
+  generateTotpCode,
+  verifyTotpCode,
+  buildOtpAuthUri
+};